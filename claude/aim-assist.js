@@ -0,0 +1,122 @@
+// Aim Assist module - practice-mode trajectory preview (predicted arc and landing marker)
+import * as THREE from 'three';
+import { PROJECTILE } from './config.js';
+import { simulateShot } from './ball-physics.js';
+
+// Create aim assist
+// config: AIM_ASSIST (see config.js); terrain is optional (flat ground without it)
+export function createAimAssist(scene, config, terrain = null) {
+  let lastKey = null;
+  let trees = null;
+  const windVelocity = new THREE.Vector3();
+
+  // ===== Predicted arc =====
+  const arcPositions = new Float32Array(PROJECTILE.maxPathPoints * 3);
+  const arcGeometry = new THREE.BufferGeometry();
+  arcGeometry.setAttribute('position', new THREE.BufferAttribute(arcPositions, 3));
+  arcGeometry.setDrawRange(0, 0);
+  const arc = new THREE.Line(arcGeometry, new THREE.LineDashedMaterial({
+    color: config.arcColor,
+    dashSize: 1.0,
+    gapSize: 0.6,
+    transparent: true,
+    opacity: 0.85
+  }));
+  arc.frustumCulled = false;
+  arc.visible = false;
+  scene.add(arc);
+
+  // ===== Landing marker (ring lying on the ground at first contact) =====
+  const marker = new THREE.Mesh(
+    new THREE.RingGeometry(config.markerRadius * 0.75, config.markerRadius, 32),
+    new THREE.MeshBasicMaterial({
+      color: config.markerColor,
+      transparent: true,
+      opacity: 0.8,
+      side: THREE.DoubleSide,
+      depthWrite: false
+    })
+  );
+  marker.rotation.x = -Math.PI / 2;
+  marker.visible = false;
+  scene.add(marker);
+
+  function setVisible(visible) {
+    arc.visible = visible;
+    marker.visible = visible && marker.userData.hasLanding === true;
+    if (!visible) lastKey = null;
+  }
+
+  // Prediction inputs rounded into a key; the shot is only re-simulated when it changes
+  function buildKey(shot) {
+    const values = [
+      ...shot.muzzlePosition.toArray(),
+      ...shot.direction.toArray(),
+      shot.profile.speed,
+      shot.profile.kickPitch,
+      shot.profile.airDragK,
+      shot.profile.restitution,
+      shot.profile.friction,
+      shot.profile.rollMult,
+      ...windVelocity.toArray()
+    ];
+    return values.map(v => v.toFixed(4)).join(',');
+  }
+
+  // shot: { muzzlePosition, direction, profile } for the loaded weapon (null hides the preview)
+  // wind: current wind velocity (Vector3) or null
+  function update(shot, wind = null) {
+    if (!shot) {
+      setVisible(false);
+      return;
+    }
+
+    windVelocity.set(0, 0, 0);
+    if (wind) {
+      const step = config.windStep;
+      windVelocity.set(
+        Math.round(wind.x / step) * step,
+        Math.round(wind.y / step) * step,
+        Math.round(wind.z / step) * step
+      );
+    }
+
+    const key = buildKey(shot);
+    if (key !== lastKey) {
+      lastKey = key;
+      const result = simulateShot(shot, { terrain, wind: windVelocity, trees });
+
+      const count = result.path.length;
+      for (let i = 0; i < count; i++) {
+        arcPositions[i * 3] = result.path[i].x;
+        arcPositions[i * 3 + 1] = result.path[i].y;
+        arcPositions[i * 3 + 2] = result.path[i].z;
+      }
+      arcGeometry.attributes.position.needsUpdate = true;
+      arcGeometry.setDrawRange(0, count);
+      arcGeometry.computeBoundingSphere();
+      arc.computeLineDistances();
+
+      marker.userData.hasLanding = result.landing !== null;
+      if (result.landing) {
+        // Just above the ground so the ring doesn't z-fight with the terrain
+        marker.position.set(result.landing.x, result.landing.y - PROJECTILE.radius + 0.05, result.landing.z);
+      }
+    }
+
+    setVisible(true);
+  }
+
+  // Tree colliders the predicted shot can hit (see trees.js, null = open ground)
+  function setTrees(colliders) {
+    trees = colliders;
+    lastKey = null;
+  }
+
+  return {
+    update,
+    setTrees,
+    hide: () => setVisible(false),
+    isVisible: () => arc.visible
+  };
+}
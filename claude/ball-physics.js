@@ -0,0 +1,469 @@
+// Ball physics - shot profiles and the ball's flight, bounce and roll rules
+// Pure simulation on plain ball state: no scene, meshes, DOM or randomness, so the same
+// launch over the same terrain always lands in the same place (fixed steps only)
+import * as THREE from 'three';
+import { SHOT_PROFILE, PROJECTILE, SURFACE, LIE, TERRAIN, TREES } from './config.js';
+
+// Reflect velocity off surface with restitution and friction
+function reflectVelocity(velocity, normal, restitution, friction) {
+  const vDotN = velocity.dot(normal);
+  const normalComponent = normal.clone().multiplyScalar(vDotN);
+  const tangentComponent = velocity.clone().sub(normalComponent);
+
+  const reflectedNormal = normalComponent.multiplyScalar(-restitution);
+  const reflectedTangent = tangentComponent.multiplyScalar(1 - friction);
+
+  return reflectedNormal.add(reflectedTangent);
+}
+
+// ========== SHOT PROFILE ==========
+
+// Build shot profile from UI selections and the lie
+// chargeTable: the weapon's charge multipliers (the mortar fires reduced charges)
+export function getShotProfile(selections, lie = LIE.fairway, chargeTable = SHOT_PROFILE.charge) {
+  const chargeMult = (chargeTable[selections.charge] || chargeTable.standard) * lie.chargeMult;
+  const kick = SHOT_PROFILE.kick[selections.kick] || SHOT_PROFILE.kick.full;
+  const airDragK = SHOT_PROFILE.hang[selections.hang] || SHOT_PROFILE.hang.carry;
+  const breakProfile = SHOT_PROFILE.break[selections.break] || SHOT_PROFILE.break.roll;
+
+  const speed = SHOT_PROFILE.baseSpeed * chargeMult * kick.speedMult;
+
+  // Charge coupling: modulate restitution slightly
+  let restitution = breakProfile.restitution;
+  if (selections.charge === 'heavy') restitution += SHOT_PROFILE.chargeCoupling.heavy;
+  if (selections.charge === 'light') restitution += SHOT_PROFILE.chargeCoupling.light;
+
+  return {
+    speed,
+    kickPitch: kick.pitch,
+    airDragK,
+    restitution: Math.max(0, Math.min(restitution, 0.95)),
+    friction: breakProfile.friction,
+    rollMult: breakProfile.rollMult,
+    mass: SHOT_PROFILE.fixedMass
+  };
+}
+
+// Launch velocity: firing direction biased by the kick pitch, at the profile's speed
+export function getLaunchVelocity(direction, profile) {
+  const velocity = direction.clone();
+  if (profile.kickPitch !== 0) {
+    velocity.y += profile.kickPitch;
+    velocity.normalize();
+  }
+  return velocity.multiplyScalar(profile.speed);
+}
+
+// ========== BALL PHYSICS ==========
+
+const gravity = new THREE.Vector3(0, -PROJECTILE.gravity, 0);
+const ballRadius = PROJECTILE.radius;
+const up = new THREE.Vector3(0, 1, 0);
+
+// Ground queries (flat fairway at y = 0 without a terrain)
+function getGroundHeight(terrain, x, z) {
+  return terrain && terrain.getHeightAt ? terrain.getHeightAt(x, z) : 0;
+}
+
+function getGroundNormal(terrain, x, z) {
+  return terrain && terrain.getNormalAt ? terrain.getNormalAt(x, z) : up.clone();
+}
+
+// Painted terrain material at a point (default surface without a material map)
+export function getGroundMaterial(terrain, x, z) {
+  return terrain && terrain.getMaterialAt ? terrain.getMaterialAt(x, z) : TERRAIN.defaultMaterial;
+}
+
+// Ground response multipliers at a point (see SURFACE)
+function getSurface(terrain, x, z) {
+  return SURFACE[getGroundMaterial(terrain, x, z)] || SURFACE.fairway;
+}
+
+// Horizontal distance from a position to the hole (null if no target)
+export function getHoleDistance(holeTarget, position) {
+  if (!holeTarget) return null;
+  const dx = position.x - holeTarget.position.x;
+  const dz = position.z - holeTarget.position.z;
+  return Math.sqrt(dx * dx + dz * dz);
+}
+
+// shotPosition: where the weapon stood (stroke-and-distance replay point)
+export function createBall(launchPosition, velocity, profile, shotPosition) {
+  return {
+    position: launchPosition.clone(),
+    previousPosition: launchPosition.clone(),
+    velocity: velocity.clone(),
+    mass: profile.mass,
+    shot: {
+      airDragK: profile.airDragK,
+      restitution: profile.restitution,
+      friction: profile.friction,
+      rollMult: profile.rollMult
+    },
+    state: 'flying',
+    time: 0,
+    bounceCount: 0,
+    slowRollTime: 0,
+    landing: null,
+    launchPosition: launchPosition.clone(),
+    shotPosition: shotPosition.clone(),
+    lastDryPosition: shotPosition.clone(),
+    path: [launchPosition.clone()],
+    pathTimer: 0,
+    track: [],
+    trackTimer: 0
+  };
+}
+
+export function isBallMoving(ball) {
+  return ball.state === 'flying' || ball.state === 'bouncing' || ball.state === 'rolling';
+}
+
+// Sample the flight path (read by the binoculars overlay); the resting point is always kept
+function recordPath(ball, dt) {
+  ball.pathTimer += dt;
+  const settled = !isBallMoving(ball);
+  if ((ball.pathTimer >= PROJECTILE.pathSampleInterval || settled) && ball.path.length < PROJECTILE.maxPathPoints) {
+    ball.pathTimer = 0;
+    ball.path.push(ball.position.clone());
+  }
+}
+
+// Timestamped sample for shot replays
+function createTrackSample(ball) {
+  return {
+    t: ball.time,
+    position: ball.position.clone(),
+    velocity: ball.velocity.clone(),
+    state: ball.state
+  };
+}
+
+// Record replay samples; state changes (bounces, rolling, rest) are always kept
+export function recordTrack(ball, dt) {
+  ball.trackTimer += dt;
+  const last = ball.track[ball.track.length - 1];
+  const stateChanged = !last || last.state !== ball.state;
+  if ((ball.trackTimer >= PROJECTILE.trackSampleInterval || stateChanged) && ball.track.length < PROJECTILE.maxTrackSamples) {
+    ball.trackTimer = 0;
+    ball.track.push(createTrackSample(ball));
+  }
+}
+
+// Ball comes to rest in its final state ('stopped' | 'holed' | 'sunk' | 'out')
+function settleBall(ball, state) {
+  ball.state = state;
+  ball.velocity.set(0, 0, 0);
+  ball.previousPosition.copy(ball.position);
+  recordPath(ball, 0);
+}
+
+// Remember the last point the ball passed over dry ground (drop point after a water hazard)
+function trackDryGround(ball, terrain) {
+  const { x, z } = ball.position;
+  if (getGroundMaterial(terrain, x, z) !== 'water') {
+    ball.lastDryPosition.set(x, getGroundHeight(terrain, x, z), z);
+  }
+}
+
+// ========== TREES ==========
+// env.trees: colliders from trees.js (trunk cylinders and canopy ellipsoids, nearby(x, z))
+
+const trunkNormal = new THREE.Vector3();
+
+// Trunks deflect the ball. The whole step is tested, so a fast ball can't skip through a trunk
+function collideTrunks(ball, trees) {
+  const position = ball.position;
+  const start = ball.previousPosition;
+  const stepX = position.x - start.x;
+  const stepZ = position.z - start.z;
+  const stepLengthSq = stepX * stepX + stepZ * stepZ;
+
+  for (const tree of trees.nearby(position.x, position.z)) {
+    if (tree.trunkRadius === 0) continue;
+    const reach = tree.trunkRadius + ballRadius;
+
+    // Closest point of this step to the trunk axis
+    let t = stepLengthSq > 0 ? ((tree.x - start.x) * stepX + (tree.z - start.z) * stepZ) / stepLengthSq : 1;
+    t = Math.min(1, Math.max(0, t));
+    const dx = start.x + stepX * t - tree.x;
+    const dz = start.z + stepZ * t - tree.z;
+    const y = start.y + (position.y - start.y) * t;
+    const distanceSq = dx * dx + dz * dz;
+    if (distanceSq >= reach * reach) continue;
+    if (y + ballRadius < tree.base || y - ballRadius > tree.trunkTop) continue;
+
+    // Push out from the axis (back the way it came if dead centre) and bounce off the bark
+    if (distanceSq > 1e-12) {
+      trunkNormal.set(dx, 0, dz);
+    } else {
+      trunkNormal.set(-ball.velocity.x, 0, -ball.velocity.z);
+      if (trunkNormal.lengthSq() === 0) trunkNormal.set(1, 0, 0);
+    }
+    trunkNormal.normalize();
+    position.set(tree.x + trunkNormal.x * reach, y, tree.z + trunkNormal.z * reach);
+    if (ball.velocity.dot(trunkNormal) < 0) {
+      ball.velocity.copy(reflectVelocity(ball.velocity, trunkNormal, TREES.trunkRestitution, TREES.trunkFriction));
+    }
+    return;
+  }
+}
+
+// Foliage slows the ball by the distance it travels through it; a flying ball is also stopped climbing
+function brushCanopies(ball, trees) {
+  const position = ball.position;
+  for (const tree of trees.nearby(position.x, position.z)) {
+    const { canopy } = tree;
+    const dx = (position.x - tree.x) / canopy.radius;
+    const dy = (position.y - canopy.y) / canopy.halfHeight;
+    const dz = (position.z - tree.z) / canopy.radius;
+    if (dx * dx + dy * dy + dz * dz > 1) continue;
+
+    const travelled = position.distanceTo(ball.previousPosition);
+    ball.velocity.multiplyScalar(Math.exp(-TREES.canopyDrag * travelled));
+    if (ball.state !== 'rolling' && ball.velocity.y > 0) ball.velocity.y = 0;
+    return;
+  }
+}
+
+// Flying or bouncing: gravity, drag and terrain collision. Returns an event or null
+function stepAirborne(ball, dt, env) {
+  const { terrain, holeTarget } = env;
+  const position = ball.position;
+
+  // Apply gravity
+  ball.velocity.addScaledVector(gravity, dt);
+
+  // Apply air drag (Hang profile), relative to the moving air when there is wind
+  if (ball.shot.airDragK > 0) {
+    const air = env.windVelocity;
+    if (air) ball.velocity.sub(air);
+    ball.velocity.multiplyScalar(Math.exp(-ball.shot.airDragK * dt));
+    if (air) ball.velocity.add(air);
+  }
+
+  position.addScaledVector(ball.velocity, dt);
+
+  // Trunks deflect, foliage slows and drops the ball
+  if (env.trees) {
+    collideTrunks(ball, env.trees);
+    brushCanopies(ball, env.trees);
+  }
+
+  // Check terrain collision
+  const floorHeight = getGroundHeight(terrain, position.x, position.z) + ballRadius;
+  if (position.y > floorHeight) return null;
+  position.y = floorHeight;
+  if (!ball.landing) ball.landing = position.clone();
+
+  // Landed directly in the cup
+  const holeDistance = getHoleDistance(holeTarget, position);
+  if (holeDistance !== null && holeDistance <= holeTarget.holeRadius) {
+    return 'holed';
+  }
+
+  // Landed in a water hazard
+  if (getGroundMaterial(terrain, position.x, position.z) === 'water') {
+    return 'water';
+  }
+
+  const normal = getGroundNormal(terrain, position.x, position.z);
+  const impactSpeed = Math.abs(ball.velocity.dot(normal));
+
+  if (impactSpeed < PROJECTILE.minBounceVelocity) {
+    ball.state = 'rolling';
+    const vDotN = ball.velocity.dot(normal);
+    if (vDotN < 0) {
+      ball.velocity.sub(normal.clone().multiplyScalar(vDotN));
+    }
+  } else {
+    ball.state = 'bouncing';
+    ball.bounceCount++;
+
+    // Use per-shot restitution/friction (Break profile), scaled by the surface hit
+    const surface = getSurface(terrain, position.x, position.z);
+    const speedFactor = Math.max(0.8, 1 - impactSpeed * 0.005);
+    const restitution = Math.min(ball.shot.restitution * surface.restitution * speedFactor, 0.95);
+    const friction = Math.min(ball.shot.friction * surface.friction, 0.95);
+
+    ball.velocity.copy(
+      reflectVelocity(ball.velocity, normal, restitution, friction)
+    );
+  }
+  return null;
+}
+
+// Rolling: slope acceleration and friction along the ground. Returns an event or null
+function stepRolling(ball, dt, env) {
+  const { terrain, holeTarget } = env;
+  const position = ball.position;
+  const normal = getGroundNormal(terrain, position.x, position.z);
+
+  position.y = getGroundHeight(terrain, position.x, position.z) + ballRadius;
+
+  // Rolled into a water hazard
+  if (getGroundMaterial(terrain, position.x, position.z) === 'water') {
+    return 'water';
+  }
+
+  // Slope acceleration
+  const gravityDotNormal = gravity.dot(normal);
+  const slopeAccel = gravity.clone().sub(normal.clone().multiplyScalar(gravityDotNormal));
+  ball.velocity.addScaledVector(slopeAccel, dt);
+
+  // Remove velocity into ground
+  const vDotN = ball.velocity.dot(normal);
+  if (vDotN < 0) {
+    ball.velocity.sub(normal.clone().multiplyScalar(vDotN));
+  }
+
+  const speed = ball.velocity.length();
+  const slopeSteepness = 1 - normal.y;
+  const extraFriction = slopeSteepness * PROJECTILE.slopeFriction;
+
+  // Track slow rolling
+  if (speed < PROJECTILE.slowRollSpeed) {
+    ball.slowRollTime += dt;
+  } else {
+    ball.slowRollTime = 0;
+  }
+
+  const forceStop = ball.slowRollTime >= PROJECTILE.maxSlowRollTime;
+
+  // Rolling over the cup slowly enough drops the ball in (faster lips out)
+  const holeDistance = getHoleDistance(holeTarget, position);
+  if (holeDistance !== null && holeDistance <= holeTarget.holeRadius && speed <= PROJECTILE.maxHoleSpeed) {
+    return 'holed';
+  }
+
+  if (speed < PROJECTILE.minRollVelocity || forceStop) {
+    if (forceStop || slopeAccel.length() < PROJECTILE.minRollVelocity * 2) {
+      return 'stopped';
+    }
+    return null;
+  }
+
+  // Apply rolling friction (modulated by Break profile rollMult and the surface)
+  const surface = getSurface(terrain, position.x, position.z);
+  const totalFriction = (PROJECTILE.rollingFriction * ball.shot.rollMult * surface.rolling + extraFriction) * dt;
+  const newSpeed = Math.max(0, speed - totalFriction);
+  ball.velocity.multiplyScalar(speed > 0 ? newSpeed / speed : 0);
+
+  position.addScaledVector(ball.velocity, dt);
+
+  // Rolls off trunks and through bushes
+  if (env.trees) {
+    collideTrunks(ball, env.trees);
+    brushCanopies(ball, env.trees);
+  }
+
+  // Re-adjust Y to terrain
+  position.y = getGroundHeight(terrain, position.x, position.z) + ballRadius;
+  return null;
+}
+
+// Advance a moving ball by one fixed step
+// env: { terrain, holeTarget, windVelocity, trees } (all optional)
+// Returns the event that ended the shot this step ('out' | 'water' | 'holed' | 'stopped') or null
+export function stepBall(ball, dt, env) {
+  const { terrain, holeTarget } = env;
+  const position = ball.position;
+  ball.previousPosition.copy(position);
+  ball.time += dt;
+
+  // Ball has left the terrain (isInBounds) - stroke and distance
+  if (terrain && terrain.isInBounds && !terrain.isInBounds(position.x, position.z)) {
+    settleBall(ball, 'out');
+    return 'out';
+  }
+
+  trackDryGround(ball, terrain);
+
+  let event = null;
+  if (ball.state === 'flying' || ball.state === 'bouncing') {
+    event = stepAirborne(ball, dt, env);
+  }
+  if (!event && ball.state === 'rolling') {
+    event = stepRolling(ball, dt, env);
+  }
+
+  if (event === 'holed') {
+    // Drop the ball into the cup
+    const { x, z } = holeTarget.position;
+    position.set(x, getGroundHeight(terrain, x, z) - ballRadius * 0.5, z);
+    settleBall(ball, 'holed');
+  } else if (event === 'water') {
+    settleBall(ball, 'sunk');
+  } else if (event === 'stopped') {
+    settleBall(ball, 'stopped');
+  } else {
+    recordPath(ball, dt);
+  }
+  recordTrack(ball, dt);
+  return event;
+}
+
+// ========== FIXED STEPS ==========
+
+// Steps moving balls and the wind together in PROJECTILE.fixedStep steps, so a gusting shot
+// lands in the same place at any frame rate
+// env: see stepBall (windVelocity is filled in from the wind source)
+export function createBallStepper(env) {
+  let accumulator = 0;
+  // Wind source with update(dt) and getVelocity() (optional, see wind.js)
+  let wind = null;
+
+  // Run the steps for a frame; onEvent(ball, event) is called when a ball's shot ends
+  // Returns how far the frame got into the next step (0-1), for drawing between the last two steps
+  function advance(balls, frameTime, onEvent) {
+    accumulator += Math.min(frameTime, PROJECTILE.maxFrameTime);
+    while (accumulator >= PROJECTILE.fixedStep) {
+      accumulator -= PROJECTILE.fixedStep;
+      if (wind) wind.update(PROJECTILE.fixedStep);
+      env.windVelocity = wind ? wind.getVelocity() : null;
+
+      for (const ball of balls) {
+        if (!isBallMoving(ball)) continue;
+        const event = stepBall(ball, PROJECTILE.fixedStep, env);
+        if (event && onEvent) onEvent(ball, event);
+      }
+    }
+    return accumulator / PROJECTILE.fixedStep;
+  }
+
+  return {
+    advance,
+    setWind: (windSource) => { wind = windSource; }
+  };
+}
+
+// Headless shot with the live system's physics, for balancing and tooling (touches no scene)
+// shot: { muzzlePosition, direction (before kick), profile (from getShotProfile) }
+// options: { terrain, holeTarget ({ position, holeRadius }), wind (Vector3 or null), trees (colliders), maxTime }
+// Returns { state, path, track, landing (first ground contact), finalPosition, time, bounceCount }
+export function simulateShot(shot, options = {}) {
+  const env = {
+    terrain: options.terrain || null,
+    holeTarget: options.holeTarget || null,
+    windVelocity: options.wind || null,
+    trees: options.trees || null
+  };
+  const maxTime = options.maxTime !== undefined ? options.maxTime : PROJECTILE.maxSimulationTime;
+  const velocity = getLaunchVelocity(shot.direction, shot.profile);
+  const ball = createBall(shot.muzzlePosition, velocity, shot.profile, shot.muzzlePosition);
+  recordTrack(ball, 0);
+
+  while (isBallMoving(ball) && ball.time < maxTime) {
+    stepBall(ball, PROJECTILE.fixedStep, env);
+  }
+
+  return {
+    state: isBallMoving(ball) ? 'timeout' : ball.state,
+    path: ball.path,
+    track: ball.track,
+    landing: ball.landing,
+    finalPosition: ball.position.clone(),
+    time: ball.time,
+    bounceCount: ball.bounceCount
+  };
+}
@@ -0,0 +1,292 @@
+// Binoculars module - zoomed view with reticle, rangefinder and recorded shot path
+import * as THREE from 'three';
+import { PROJECTILE } from './config.js';
+
+// Create binoculars system
+// targets: { terrain, flag } - rangefinder hits the flag model or the heightmap
+// signal: optional AbortSignal that removes the window resize listener
+export function createBinocularsSystem(camera, scene, config, targets, signal) {
+  const baseFov = camera.fov;
+
+  const state = {
+    phase: 'lowered',   // 'lowered' | 'raising' | 'raised' | 'lowering'
+    progress: 0,        // 0 = lowered, 1 = at the eyes
+    zoomIndex: config.defaultMagnification,
+    rangeTimer: 0,
+    heldModel: null,
+    onLowered: null
+  };
+
+  // ===== Overlay: two-lens mask, reticle and readouts =====
+  const overlay = document.createElement('div');
+  overlay.id = 'binoculars-overlay';
+  overlay.style.cssText = `
+    position: fixed;
+    top: 0;
+    left: 0;
+    width: 100%;
+    height: 100%;
+    pointer-events: none;
+    display: none;
+    z-index: 150;
+  `;
+  overlay.innerHTML = `
+    <svg width="100%" height="100%" style="position:absolute; top:0; left:0;">
+      <defs>
+        <mask id="binoculars-mask">
+          <rect width="100%" height="100%" fill="white" />
+          <circle class="binoculars-lens" cx="38%" cy="50%" fill="black" />
+          <circle class="binoculars-lens" cx="62%" cy="50%" fill="black" />
+        </mask>
+      </defs>
+      <rect width="100%" height="100%" fill="black" mask="url(#binoculars-mask)" />
+    </svg>
+    <div class="binoculars-reticle">
+      <div class="reticle-h"></div>
+      <div class="reticle-v"></div>
+    </div>
+    <div class="binoculars-readout">
+      <div class="binoculars-range">RNG ---</div>
+      <div class="binoculars-zoom">x${config.magnifications[state.zoomIndex]}</div>
+    </div>
+  `;
+  document.body.appendChild(overlay);
+
+  const style = document.createElement('style');
+  style.textContent = `
+    #binoculars-overlay .binoculars-reticle {
+      position: absolute;
+      left: 50%;
+      top: 50%;
+      width: 60px;
+      height: 60px;
+      margin: -30px 0 0 -30px;
+    }
+    #binoculars-overlay .reticle-h,
+    #binoculars-overlay .reticle-v {
+      position: absolute;
+      background: rgba(255, 60, 40, 0.85);
+    }
+    #binoculars-overlay .reticle-h {
+      left: 0;
+      top: 29px;
+      width: 60px;
+      height: 2px;
+    }
+    #binoculars-overlay .reticle-v {
+      left: 29px;
+      top: 0;
+      width: 2px;
+      height: 60px;
+    }
+    #binoculars-overlay .binoculars-readout {
+      position: absolute;
+      left: 50%;
+      top: calc(50% + 44px);
+      transform: translateX(-50%);
+      color: #f64;
+      font-family: monospace;
+      font-size: 14px;
+      text-align: center;
+      text-shadow: 0 0 3px #000;
+    }
+    #binoculars-overlay .binoculars-zoom {
+      font-size: 11px;
+      color: rgba(255, 255, 255, 0.6);
+    }
+  `;
+  document.head.appendChild(style);
+
+  const rangeEl = overlay.querySelector('.binoculars-range');
+  const zoomEl = overlay.querySelector('.binoculars-zoom');
+
+  // Lens circles overlap in the middle and scale with the window
+  function layoutLenses() {
+    const radius = Math.min(window.innerWidth * 0.2, window.innerHeight * 0.45);
+    overlay.querySelectorAll('.binoculars-lens').forEach(lens => lens.setAttribute('r', radius));
+  }
+  layoutLenses();
+  window.addEventListener('resize', layoutLenses, { signal });
+
+  // ===== Shot path polyline (only visible while raised) =====
+  const pathPositions = new Float32Array(PROJECTILE.maxPathPoints * 3);
+  const pathGeometry = new THREE.BufferGeometry();
+  pathGeometry.setAttribute('position', new THREE.BufferAttribute(pathPositions, 3));
+  pathGeometry.setDrawRange(0, 0);
+  const pathLine = new THREE.Line(pathGeometry, new THREE.LineBasicMaterial({
+    color: config.pathColor,
+    transparent: true,
+    opacity: 0.9
+  }));
+  pathLine.frustumCulled = false;
+  pathLine.visible = false;
+  scene.add(pathLine);
+
+  function updatePath(path) {
+    const count = path ? Math.min(path.length, PROJECTILE.maxPathPoints) : 0;
+    for (let i = 0; i < count; i++) {
+      pathPositions[i * 3] = path[i].x;
+      pathPositions[i * 3 + 1] = path[i].y;
+      pathPositions[i * 3 + 2] = path[i].z;
+    }
+    pathGeometry.attributes.position.needsUpdate = true;
+    pathGeometry.setDrawRange(0, count);
+  }
+
+  // ===== Rangefinder =====
+  const raycaster = new THREE.Raycaster();
+  const rayOrigin = new THREE.Vector3();
+  const rayDirection = new THREE.Vector3();
+  const samplePoint = new THREE.Vector3();
+
+  // March along the view ray until it dips below the heightmap, then bisect
+  function rangeToTerrain() {
+    const terrain = targets.terrain;
+    if (!terrain) return null;
+
+    let previous = 0;
+    for (let t = config.rangeStep; t <= config.maxRange; t += config.rangeStep) {
+      samplePoint.copy(rayOrigin).addScaledVector(rayDirection, t);
+      if (terrain.isInBounds && !terrain.isInBounds(samplePoint.x, samplePoint.z)) return null;
+      if (samplePoint.y <= terrain.getHeightAt(samplePoint.x, samplePoint.z)) {
+        let low = previous;
+        let high = t;
+        for (let i = 0; i < 8; i++) {
+          const mid = (low + high) / 2;
+          samplePoint.copy(rayOrigin).addScaledVector(rayDirection, mid);
+          if (samplePoint.y <= terrain.getHeightAt(samplePoint.x, samplePoint.z)) high = mid; else low = mid;
+        }
+        return high;
+      }
+      previous = t;
+    }
+    return null;
+  }
+
+  function measureRange() {
+    camera.getWorldPosition(rayOrigin);
+    camera.getWorldDirection(rayDirection);
+
+    let range = rangeToTerrain();
+    let label = 'TERRAIN';
+
+    if (targets.flag) {
+      raycaster.set(rayOrigin, rayDirection);
+      raycaster.far = config.maxRange;
+      const hits = raycaster.intersectObject(targets.flag, true);
+      if (hits.length > 0 && (range === null || hits[0].distance <= range)) {
+        range = hits[0].distance;
+        label = 'FLAG';
+      }
+    }
+
+    rangeEl.textContent = range === null ? 'RNG ---' : `${label} ${range.toFixed(1)}m`;
+  }
+
+  // ===== Zoom =====
+  function applyFov(progress) {
+    const magnification = config.magnifications[state.zoomIndex];
+    const zoomedFov = THREE.MathUtils.radToDeg(
+      2 * Math.atan(Math.tan(THREE.MathUtils.degToRad(baseFov) / 2) / magnification)
+    );
+    camera.fov = THREE.MathUtils.lerp(baseFov, zoomedFov, progress);
+    camera.updateProjectionMatrix();
+  }
+
+  function adjustZoom(direction) {
+    if (state.phase !== 'raised') return;
+    state.zoomIndex = THREE.MathUtils.clamp(state.zoomIndex + direction, 0, config.magnifications.length - 1);
+    zoomEl.textContent = `x${config.magnifications[state.zoomIndex]}`;
+    applyFov(1);
+  }
+
+  // ===== Raise / lower =====
+  // heldModel: the binoculars hand object (moved from its base pose towards the eyes)
+  function raise(heldModel) {
+    if (state.phase === 'raised' || state.phase === 'raising') return;
+    state.heldModel = heldModel;
+    state.phase = 'raising';
+  }
+
+  function lower() {
+    if (state.phase === 'lowered' || state.phase === 'lowering') return;
+    overlay.style.display = 'none';
+    pathLine.visible = false;
+    state.phase = 'lowering';
+  }
+
+  // Drop straight back to the lowered state (stage changes, new hole)
+  function forceLower() {
+    if (state.phase === 'lowered') return;
+    state.progress = 0;
+    finishLowering();
+  }
+
+  function finishLowering() {
+    state.phase = 'lowered';
+    overlay.style.display = 'none';
+    pathLine.visible = false;
+    applyFov(0);
+    if (state.heldModel) {
+      state.heldModel.position.copy(state.heldModel.userData.basePosition);
+      state.heldModel.visible = true;
+    }
+    if (state.onLowered) state.onLowered();
+  }
+
+  // path: recorded shot path (array of Vector3) or null
+  function update(dt, path) {
+    const step = dt / config.raiseTime;
+
+    if (state.phase === 'raising') {
+      state.progress = Math.min(1, state.progress + step);
+      if (state.progress >= 1) {
+        state.phase = 'raised';
+        overlay.style.display = 'block';
+        pathLine.visible = true;
+        // Model would fill the view at the eyes
+        if (state.heldModel) state.heldModel.visible = false;
+        state.rangeTimer = config.rangeUpdateInterval;
+      }
+    } else if (state.phase === 'lowering') {
+      if (state.heldModel) state.heldModel.visible = true;
+      state.progress = Math.max(0, state.progress - step);
+      if (state.progress <= 0) {
+        finishLowering();
+        return;
+      }
+    }
+
+    if (state.phase === 'lowered') return;
+
+    applyFov(state.progress);
+    if (state.heldModel) {
+      const { basePosition, raisedPosition } = state.heldModel.userData;
+      state.heldModel.position.lerpVectors(basePosition, raisedPosition, state.progress);
+    }
+
+    if (state.phase === 'raised') {
+      updatePath(path);
+      state.rangeTimer += dt;
+      if (state.rangeTimer >= config.rangeUpdateInterval) {
+        state.rangeTimer = 0;
+        measureRange();
+      }
+    }
+  }
+
+  return {
+    raise,
+    lower,
+    forceLower,
+    update,
+    adjustZoom,
+    isActive: () => state.phase !== 'lowered',
+    isRaised: () => state.phase === 'raised',
+    // Scale look sensitivity so aiming stays controllable when zoomed
+    getLookScale: () => camera.fov / baseFov,
+    onLowered(callback) {
+      state.onLowered = callback;
+    }
+  };
+}
@@ -0,0 +1,376 @@
+// Buggy module - drivable vehicle that tows the weapons between shots
+import * as THREE from 'three';
+
+// Materials
+const bodyMaterial = new THREE.MeshStandardMaterial({ color: 0x556b2f, roughness: 0.7, metalness: 0.2 });
+const frameMaterial = new THREE.MeshStandardMaterial({ color: 0x2a2a2a, roughness: 0.5, metalness: 0.6 });
+const tyreMaterial = new THREE.MeshStandardMaterial({ color: 0x151515, roughness: 0.9, metalness: 0.0 });
+const seatMaterial = new THREE.MeshStandardMaterial({ color: 0x3b2a1a, roughness: 0.8, metalness: 0.0 });
+
+// Create a wheel (spins around local X)
+function createWheel(radius) {
+  const wheelGroup = new THREE.Group();
+
+  const tyreGeometry = new THREE.CylinderGeometry(radius, radius, 0.28, 10);
+  tyreGeometry.rotateZ(Math.PI / 2);
+  const tyre = new THREE.Mesh(tyreGeometry, tyreMaterial);
+  tyre.castShadow = true;
+  wheelGroup.add(tyre);
+
+  const hubGeometry = new THREE.CylinderGeometry(radius * 0.45, radius * 0.45, 0.3, 6);
+  hubGeometry.rotateZ(Math.PI / 2);
+  wheelGroup.add(new THREE.Mesh(hubGeometry, frameMaterial));
+
+  return wheelGroup;
+}
+
+// Create a roll cage tube between two local points
+function createTube(from, to, radius = 0.04) {
+  const start = new THREE.Vector3(from.x, from.y, from.z);
+  const end = new THREE.Vector3(to.x, to.y, to.z);
+  const length = start.distanceTo(end);
+  const geometry = new THREE.CylinderGeometry(radius, radius, length, 6);
+  const tube = new THREE.Mesh(geometry, frameMaterial);
+  tube.position.copy(start).add(end).multiplyScalar(0.5);
+  tube.quaternion.setFromUnitVectors(new THREE.Vector3(0, 1, 0), end.sub(start).normalize());
+  tube.castShadow = true;
+  return tube;
+}
+
+// Build the low-poly buggy model (local +Z is forward, origin on the ground between the axles)
+function createBuggyModel(config) {
+  const { wheelbase, track, wheelRadius } = config;
+  const group = new THREE.Group();
+
+  // Body sits on the suspension; wheels are positioned separately
+  const body = new THREE.Group();
+  body.rotation.order = 'YXZ';
+  group.add(body);
+
+  const floorGeometry = new THREE.BoxGeometry(track - 0.2, 0.2, wheelbase + 0.9);
+  const floor = new THREE.Mesh(floorGeometry, bodyMaterial);
+  floor.position.y = wheelRadius + 0.15;
+  floor.castShadow = true;
+  body.add(floor);
+
+  const hoodGeometry = new THREE.BoxGeometry(track - 0.3, 0.35, 0.9);
+  const hood = new THREE.Mesh(hoodGeometry, bodyMaterial);
+  hood.position.set(0, wheelRadius + 0.4, wheelbase / 2 - 0.1);
+  hood.castShadow = true;
+  body.add(hood);
+
+  const engineGeometry = new THREE.BoxGeometry(track - 0.5, 0.4, 0.6);
+  const engine = new THREE.Mesh(engineGeometry, frameMaterial);
+  engine.position.set(0, wheelRadius + 0.45, -wheelbase / 2 + 0.05);
+  body.add(engine);
+
+  // Two seats side by side
+  for (const side of [-1, 1]) {
+    const seatGeometry = new THREE.BoxGeometry(0.45, 0.15, 0.45);
+    const seat = new THREE.Mesh(seatGeometry, seatMaterial);
+    seat.position.set(side * 0.35, wheelRadius + 0.35, -0.1);
+    body.add(seat);
+
+    const backGeometry = new THREE.BoxGeometry(0.45, 0.55, 0.1);
+    const back = new THREE.Mesh(backGeometry, seatMaterial);
+    back.position.set(side * 0.35, wheelRadius + 0.65, -0.35);
+    back.rotation.x = -0.15;
+    body.add(back);
+  }
+
+  // Steering wheel in front of the driver seat (+X)
+  const steeringGeometry = new THREE.TorusGeometry(0.16, 0.02, 6, 12);
+  const steering = new THREE.Mesh(steeringGeometry, frameMaterial);
+  steering.position.set(0.35, wheelRadius + 0.85, 0.35);
+  steering.rotation.x = -0.9;
+  body.add(steering);
+
+  // Roll cage
+  const cageTop = wheelRadius + 1.55;
+  const halfWidth = (track - 0.3) / 2;
+  const cageFront = 0.45;
+  const cageRear = -0.6;
+  for (const side of [-1, 1]) {
+    const x = side * halfWidth;
+    body.add(createTube({ x, y: wheelRadius + 0.25, z: cageFront }, { x, y: cageTop, z: cageFront - 0.2 }));
+    body.add(createTube({ x, y: wheelRadius + 0.25, z: cageRear }, { x, y: cageTop, z: cageRear }));
+    body.add(createTube({ x, y: cageTop, z: cageFront - 0.2 }, { x, y: cageTop, z: cageRear }));
+  }
+  body.add(createTube({ x: -halfWidth, y: cageTop, z: cageRear }, { x: halfWidth, y: cageTop, z: cageRear }));
+  body.add(createTube({ x: -halfWidth, y: cageTop, z: cageFront - 0.2 }, { x: halfWidth, y: cageTop, z: cageFront - 0.2 }));
+
+  // Tow hitch ball at the rear
+  const hitchZ = -(wheelbase / 2 + 0.55);
+  const hitchArmGeometry = new THREE.BoxGeometry(0.08, 0.08, 0.3);
+  const hitchArm = new THREE.Mesh(hitchArmGeometry, frameMaterial);
+  hitchArm.position.set(0, wheelRadius + 0.05, hitchZ + 0.15);
+  body.add(hitchArm);
+
+  const hitchBallGeometry = new THREE.SphereGeometry(0.06, 8, 6);
+  const hitchBall = new THREE.Mesh(hitchBallGeometry, frameMaterial);
+  hitchBall.position.set(0, wheelRadius + 0.1, hitchZ);
+  body.add(hitchBall);
+
+  // Wheels: front-left, front-right, rear-left, rear-right (local +X is left)
+  const wheels = [];
+  const wheelLayout = [
+    { x: track / 2, z: wheelbase / 2, front: true },
+    { x: -track / 2, z: wheelbase / 2, front: true },
+    { x: track / 2, z: -wheelbase / 2, front: false },
+    { x: -track / 2, z: -wheelbase / 2, front: false }
+  ];
+  for (const layout of wheelLayout) {
+    const wheel = createWheel(wheelRadius);
+    wheel.position.set(layout.x, wheelRadius, layout.z);
+    wheel.rotation.order = 'YXZ';
+    group.add(wheel);
+    wheels.push({ mesh: wheel, ...layout });
+  }
+
+  return { group, body, wheels, hitchLocal: new THREE.Vector3(0, wheelRadius + 0.1, hitchZ) };
+}
+
+// Create buggy system
+// terrain: { getHeightAt, getNormalAt, isInBounds }, config: BUGGY from config.js
+export function createBuggySystem(scene, terrain, config) {
+  const model = createBuggyModel(config);
+  scene.add(model.group);
+
+  const gravity = new THREE.Vector3(0, -9.81, 0);
+  const forward = new THREE.Vector3();
+  const slopeAccel = new THREE.Vector3();
+  const seatOffset = new THREE.Vector3(config.seatEyeOffset.x, config.seatEyeOffset.y, config.seatEyeOffset.z);
+
+  const state = {
+    driving: false,
+    position: new THREE.Vector3(),
+    heading: 0,
+    speed: 0,
+    steerAngle: 0,
+    wheelSpin: 0,
+    // Suspension springs (body height, nose-up pitch, roll towards +X)
+    bodyY: 0, bodyVY: 0,
+    pitch: 0, pitchV: 0,
+    roll: 0, rollV: 0,
+    // Towed weapon groups, moved together (only one is visible at a time)
+    towed: null
+  };
+
+  function getGroundHeight(x, z) {
+    return terrain ? terrain.getHeightAt(x, z) : 0;
+  }
+
+  function isInBounds(x, z) {
+    return terrain && terrain.isInBounds ? terrain.isInBounds(x, z) : true;
+  }
+
+  // Local (x, z) offset → world XZ using the buggy heading
+  function toWorldXZ(localX, localZ, target) {
+    const cos = Math.cos(state.heading);
+    const sin = Math.sin(state.heading);
+    target.x = state.position.x + localX * cos + localZ * sin;
+    target.z = state.position.z - localX * sin + localZ * cos;
+    return target;
+  }
+
+  // Park the buggy (new hole): position { x, y, z }, heading radians
+  function place(position, heading) {
+    state.position.set(position.x, getGroundHeight(position.x, position.z), position.z);
+    state.heading = heading;
+    state.speed = 0;
+    state.steerAngle = 0;
+    state.bodyY = state.position.y;
+    state.bodyVY = 0;
+    state.pitch = state.pitchV = 0;
+    state.roll = state.rollV = 0;
+    updateSuspension(0, true);
+    applyTransform();
+  }
+
+  // Drive: throttle and steer in -1..1 (steer > 0 turns right)
+  function updateDriving(dt, throttle, steer) {
+    // Steering eases towards the requested lock, which tightens as speed builds
+    const speedRatio = Math.min(Math.abs(state.speed) / config.maxSpeed, 1);
+    const lock = THREE.MathUtils.degToRad(config.maxSteerDeg) * (1 - (1 - config.steerAtTopSpeed) * speedRatio);
+    const targetSteer = lock * steer;
+    const steerStep = config.steerRate * dt;
+    state.steerAngle += THREE.MathUtils.clamp(targetSteer - state.steerAngle, -steerStep, steerStep);
+
+    // Throttle accelerates, or brakes when pushing against the direction of travel
+    let accel = 0;
+    if (throttle !== 0) {
+      const braking = state.speed !== 0 && Math.sign(throttle) !== Math.sign(state.speed);
+      accel = throttle * (braking ? config.brakeDeceleration : config.acceleration);
+    } else if (state.speed !== 0) {
+      const coastStep = config.rollingResistance * dt;
+      state.speed = Math.abs(state.speed) <= coastStep ? 0 : state.speed - Math.sign(state.speed) * coastStep;
+    }
+
+    // Gravity along the slope pulls the buggy downhill
+    forward.set(Math.sin(state.heading), 0, Math.cos(state.heading));
+    const normal = terrain ? terrain.getNormalAt(state.position.x, state.position.z) : new THREE.Vector3(0, 1, 0);
+    slopeAccel.copy(gravity).addScaledVector(normal, -gravity.dot(normal));
+    accel += slopeAccel.dot(forward);
+
+    state.speed = THREE.MathUtils.clamp(state.speed + accel * dt, -config.maxReverseSpeed, config.maxSpeed);
+
+    // Bicycle model: heading grows towards +X (left), so a right turn lowers it
+    state.heading -= (state.speed * Math.tan(state.steerAngle) / config.wheelbase) * dt;
+    forward.set(Math.sin(state.heading), 0, Math.cos(state.heading));
+
+    const nextX = state.position.x + forward.x * state.speed * dt;
+    const nextZ = state.position.z + forward.z * state.speed * dt;
+    if (isInBounds(nextX, nextZ)) {
+      state.position.x = nextX;
+      state.position.z = nextZ;
+    } else {
+      state.speed = 0;
+    }
+    state.position.y = getGroundHeight(state.position.x, state.position.z);
+
+    state.wheelSpin += (state.speed / config.wheelRadius) * dt;
+  }
+
+  // Spring the body towards the plane through the four wheel contact points
+  function updateSuspension(dt, snap = false) {
+    const contact = { x: 0, z: 0 };
+    const heights = model.wheels.map(wheel => {
+      toWorldXZ(wheel.x, wheel.z, contact);
+      return getGroundHeight(contact.x, contact.z);
+    });
+    const [frontLeft, frontRight, rearLeft, rearRight] = heights;
+
+    const targetY = (frontLeft + frontRight + rearLeft + rearRight) / 4;
+    const targetPitch = Math.atan2((frontLeft + frontRight) - (rearLeft + rearRight), 2 * config.wheelbase);
+    const targetRoll = Math.atan2((frontLeft + rearLeft) - (frontRight + rearRight), 2 * config.track);
+
+    if (snap) {
+      state.bodyY = targetY;
+      state.pitch = targetPitch;
+      state.roll = targetRoll;
+    } else {
+      const k = config.suspensionStiffness;
+      const c = config.suspensionDamping;
+      state.bodyVY += (k * (targetY - state.bodyY) - c * state.bodyVY) * dt;
+      state.pitchV += (k * (targetPitch - state.pitch) - c * state.pitchV) * dt;
+      state.rollV += (k * (targetRoll - state.roll) - c * state.rollV) * dt;
+      state.bodyY += state.bodyVY * dt;
+      state.pitch += state.pitchV * dt;
+      state.roll += state.rollV * dt;
+    }
+
+    // Wheels reach down to their own contact point within the suspension travel
+    const travel = config.suspensionTravel;
+    model.wheels.forEach((wheel, i) => {
+      const bodyHeightAtWheel = state.bodyY + wheel.z * Math.sin(state.pitch) + wheel.x * Math.sin(state.roll);
+      const offset = THREE.MathUtils.clamp(heights[i] - bodyHeightAtWheel, -travel, travel);
+      wheel.mesh.position.y = config.wheelRadius + (bodyHeightAtWheel - state.position.y) + offset;
+      wheel.mesh.rotation.x = state.wheelSpin;
+      wheel.mesh.rotation.y = wheel.front ? -state.steerAngle : 0;
+    });
+  }
+
+  function applyTransform() {
+    model.group.position.set(state.position.x, state.position.y, state.position.z);
+    model.group.rotation.y = state.heading;
+    model.body.position.y = state.bodyY - state.position.y;
+    model.body.rotation.x = -state.pitch;
+    model.body.rotation.z = state.roll;
+  }
+
+  // Trailer model: each weapon pivot trails the hitch at towLength, its trail pointing at the hitch
+  function updateTow() {
+    if (!state.towed) return;
+    const hitch = getHitchPosition();
+    const lead = state.towed[0].position;
+    const dx = hitch.x - lead.x;
+    const dz = hitch.z - lead.z;
+    const length = Math.sqrt(dx * dx + dz * dz) || 1;
+    const x = hitch.x - (dx / length) * config.towLength;
+    const z = hitch.z - (dz / length) * config.towLength;
+    const y = getGroundHeight(x, z);
+    // Weapon +Z (muzzle) points away from the hitch
+    const heading = Math.atan2(-dx, -dz);
+    for (const group of state.towed) {
+      group.position.set(x, y, z);
+      group.rotation.set(0, heading, 0);
+    }
+  }
+
+  function update(dt, throttle = 0, steer = 0) {
+    // Parked buggy keeps its handbrake on
+    if (state.driving) {
+      updateDriving(dt, throttle, steer);
+    }
+    updateSuspension(dt);
+    applyTransform();
+    updateTow();
+  }
+
+  // World position of the tow hitch
+  function getHitchPosition() {
+    model.group.updateMatrixWorld(true);
+    return model.body.localToWorld(model.hitchLocal.clone());
+  }
+
+  // World position of the driver's eyes
+  function getSeatPosition() {
+    model.group.updateMatrixWorld(true);
+    return model.body.localToWorld(seatOffset.clone());
+  }
+
+  function canEnter(playerPosition) {
+    const dx = playerPosition.x - state.position.x;
+    const dz = playerPosition.z - state.position.z;
+    return Math.sqrt(dx * dx + dz * dz) <= config.enterDistance;
+  }
+
+  function canHitch(weaponPosition) {
+    const hitch = getHitchPosition();
+    const dx = weaponPosition.x - hitch.x;
+    const dz = weaponPosition.z - hitch.z;
+    return Math.sqrt(dx * dx + dz * dz) <= config.towLength + config.hitchSlack;
+  }
+
+  function enter() {
+    state.driving = true;
+  }
+
+  // Climb out beside the driver seat; returns the ground position to stand on
+  function exit() {
+    state.driving = false;
+    state.speed = 0;
+    const standAt = toWorldXZ(config.exitOffset.x, config.exitOffset.z, { x: 0, z: 0 });
+    return new THREE.Vector3(standAt.x, getGroundHeight(standAt.x, standAt.z), standAt.z);
+  }
+
+  // groups: weapon groups to tow together
+  function hitch(groups) {
+    state.towed = groups;
+    updateTow();
+  }
+
+  function unhitch() {
+    const groups = state.towed;
+    state.towed = null;
+    return groups;
+  }
+
+  return {
+    place,
+    update,
+    enter,
+    exit,
+    hitch,
+    unhitch,
+    canEnter,
+    canHitch,
+    getHitchPosition,
+    getSeatPosition,
+    isDriving: () => state.driving,
+    isHitched: () => state.towed !== null,
+    getHeading: () => state.heading,
+    getSpeed: () => state.speed,
+    getPosition: () => state.position.clone()
+  };
+}
@@ -270,6 +270,30 @@ export function createHowitzer(scene, config = {}) {
   loadedBall.castShadow = true;
   elevatingGroup.add(loadedBall);
 
+  // Firing lanyard: lever on the breech, cord and T-handle (cord points are set by updateLanyard)
+  const firingLeverPivot = new THREE.Group();
+  firingLeverPivot.position.set(0.13, 0.05, -0.2);
+  elevatingGroup.add(firingLeverPivot);
+
+  const firingLever = new THREE.Mesh(new THREE.BoxGeometry(0.03, 0.12, 0.03), metalLight);
+  firingLever.position.set(0.02, -0.06, 0);
+  firingLeverPivot.add(firingLever);
+
+  const lanyardAnchor = new THREE.Vector3(0.15, -0.06, -0.2);
+  const lanyardPositions = new Float32Array(LANYARD_SEGMENTS * 3 + 3);
+  const lanyardGeometry = new THREE.BufferGeometry();
+  lanyardGeometry.setAttribute('position', new THREE.BufferAttribute(lanyardPositions, 3));
+  const lanyardCord = new THREE.Line(lanyardGeometry, new THREE.LineBasicMaterial({ color: 0xc8b48a }));
+  lanyardCord.frustumCulled = false;
+  elevatingGroup.add(lanyardCord);
+
+  const lanyardHandle = new THREE.Mesh(
+    new THREE.CylinderGeometry(0.018, 0.018, 0.14, 8),
+    new THREE.MeshStandardMaterial({ color: 0x6b4a2b, roughness: 0.8, metalness: 0.0 })
+  );
+  lanyardHandle.rotation.z = Math.PI / 2;
+  elevatingGroup.add(lanyardHandle);
+
   // Enable shadows
   howitzer.traverse((child) => {
     if (child.isMesh) {
@@ -290,8 +314,21 @@ export function createHowitzer(scene, config = {}) {
     muzzleBrake,
     muzzleFlash,
     loadedBall,
+    lanyard: {
+      anchor: lanyardAnchor,
+      cord: lanyardCord,
+      handle: lanyardHandle,
+      leverPivot: firingLeverPivot
+    },
     wheelRadius,
     innerBarrelLength,
+    // Ground contacts (local): wheel bottoms and trail spades
+    footprint: [
+      new THREE.Vector3(-0.9, 0, 0.3),
+      new THREE.Vector3(0.9, 0, 0.3),
+      new THREE.Vector3(-0.5, 0, -2.55),
+      new THREE.Vector3(0.5, 0, -2.55)
+    ],
     // Base positions for animation
     innerBarrelBaseZ: innerBarrel.position.z,
     outerBarrelBaseZ: outerBarrel.position.z,
@@ -301,6 +338,66 @@ export function createHowitzer(scene, config = {}) {
   };
 }
 
+// ========== LANYARD ==========
+
+const LANYARD_SEGMENTS = 16;
+const _anchorWorld = new THREE.Vector3();
+const _handleWorld = new THREE.Vector3();
+const _cordPoint = new THREE.Vector3();
+
+// World position of the lanyard's fixing on the breech
+export function getLanyardAnchor(howitzer, target = new THREE.Vector3()) {
+  return howitzer.elevatingGroup.localToWorld(target.copy(howitzer.lanyard.anchor));
+}
+
+// Shot quality (config.minQuality..1) for a pull strength (1 = full drag), or null if too weak to fire
+// A firm pull is clean; a timid pull hangs fire and a yank jerks the gun
+export function getLanyardPullQuality(strength, config) {
+  if (strength < config.minPull) return null;
+  const lost = 1 - config.minQuality;
+  if (strength < config.idealPull) {
+    return 1 - lost * (config.idealPull - strength) / (config.idealPull - config.minPull);
+  }
+  if (strength <= config.yankPull) return 1;
+  const over = Math.min((strength - config.yankPull) / (config.maxPull - config.yankPull), 1);
+  return 1 - lost * over;
+}
+
+// Draw the lanyard: held in the gunner's hand (gripWorld) or hanging from the breech (null)
+// pull: current pull strength (0 = slack), tightens the cord and swings the firing lever
+export function updateLanyard(howitzer, config, gripWorld, pull = 0) {
+  const { cord, handle, leverPivot } = howitzer.lanyard;
+  getLanyardAnchor(howitzer, _anchorWorld);
+
+  let sag;
+  if (gripWorld) {
+    _handleWorld.copy(gripWorld);
+    const slack = Math.max(0, config.length - _anchorWorld.distanceTo(_handleWorld));
+    const tension = Math.min(pull / config.idealPull, 1);
+    sag = Math.min(slack * 0.3, 0.8) * (1 - tension);
+  } else {
+    // Stowed: coiled and hanging just below the breech
+    _handleWorld.copy(_anchorWorld);
+    _handleWorld.y -= 0.5;
+    sag = 0;
+  }
+
+  const positions = cord.geometry.attributes.position.array;
+  for (let i = 0; i <= LANYARD_SEGMENTS; i++) {
+    const t = i / LANYARD_SEGMENTS;
+    _cordPoint.lerpVectors(_anchorWorld, _handleWorld, t);
+    _cordPoint.y -= sag * 4 * t * (1 - t);
+    howitzer.elevatingGroup.worldToLocal(_cordPoint);
+    positions[i * 3] = _cordPoint.x;
+    positions[i * 3 + 1] = _cordPoint.y;
+    positions[i * 3 + 2] = _cordPoint.z;
+  }
+  cord.geometry.attributes.position.needsUpdate = true;
+
+  handle.position.copy(howitzer.elevatingGroup.worldToLocal(_handleWorld));
+  leverPivot.rotation.x = -Math.min(pull, 1) * 0.6;
+}
+
 // Firing animation state
 export function createFiringAnimation() {
   return {
@@ -403,6 +500,18 @@ export function createCannonControls(howitzer) {
     return elevationDeg;
   }
 
+  function setRotation(deg) {
+    rotationDeg = deg;
+    updateRotation();
+    return rotationDeg;
+  }
+
+  function setElevation(deg) {
+    elevationDeg = deg;
+    updateElevation();
+    return elevationDeg;
+  }
+
   updateRotation();
   updateElevation();
 
@@ -410,7 +519,9 @@ export function createCannonControls(howitzer) {
     getRotation: () => rotationDeg,
     getElevation: () => elevationDeg,
     adjustRotation,
-    adjustElevation
+    adjustElevation,
+    setRotation,
+    setElevation
   };
 }
 
@@ -433,6 +544,14 @@ export function createHowitzerAdapter(howitzerData, firingAnim) {
     getPosition() {
       return howitzerData.group.position.clone();
     },
+    // Breech-loaded: the shell goes in just behind the breech block
+    loadEnd: 'breech',
+    getLoadPoint() {
+      const breechLocal = new THREE.Vector3(0, 0.05, -0.3);
+      howitzerData.elevatingGroup.localToWorld(breechLocal);
+      return breechLocal;
+    },
+    getLoadedBall: () => howitzerData.loadedBall,
     setPosition(pos) {
       howitzerData.group.position.set(pos.x, pos.y, pos.z);
     },
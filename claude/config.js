@@ -2,19 +2,34 @@
 // Centralizes all game settings, course data, and tunable parameters
 
 // ========== COURSE DEFINITION ==========
+// Built-in layout; replaced at startup by the selected course manifest (see setCourse)
 export const COURSE = {
+  manifestDir: './courses/',       // One folder per course holding manifest.json
+  catalogFile: './courses/index.json',  // Course ids listed on the title menu
+  defaultId: 'artillery-range',    // Course selected on the menu without a ?course= query parameter
   name: "Artillery Range",
   holeCount: 9,
+  // Positions lie inside the 220m heightmap; y is resampled from the terrain on hole setup
+  // wind is optional per hole (see WIND); holes without it get a generated wind
   holes: [
-    { number: 1, par: 3, cannon: { x: 0, y: 0, z: 0 }, flag: { x: 0, y: 0, z: 150 } },
-    { number: 2, par: 3, cannon: { x: 0, y: 0, z: 0 }, flag: { x: 50, y: 0, z: 150 } },
-    { number: 3, par: 3, cannon: { x: 0, y: 0, z: 0 }, flag: { x: -50, y: 0, z: 150 } },
-    { number: 4, par: 3, cannon: { x: 0, y: 0, z: 0 }, flag: { x: 0, y: 0, z: 200 } },
-    { number: 5, par: 3, cannon: { x: 0, y: 0, z: 0 }, flag: { x: 75, y: 0, z: 175 } },
-    { number: 6, par: 3, cannon: { x: 0, y: 0, z: 0 }, flag: { x: -75, y: 0, z: 175 } },
-    { number: 7, par: 3, cannon: { x: 0, y: 0, z: 0 }, flag: { x: 0, y: 0, z: 250 } },
-    { number: 8, par: 3, cannon: { x: 0, y: 0, z: 0 }, flag: { x: 100, y: 0, z: 200 } },
-    { number: 9, par: 3, cannon: { x: 0, y: 0, z: 0 }, flag: { x: -100, y: 0, z: 200 } }
+    { number: 1, par: 3, cannon: { x: -80, y: 0, z: -80 }, flag: { x: -20, y: 0, z: -40 },
+      wind: { direction: 60, strength: 2.5, gust: 1.0 } },
+    { number: 2, par: 3, cannon: { x: -10, y: 0, z: -50 }, flag: { x: 60, y: 0, z: -70 },
+      wind: { direction: 200, strength: 4.0, gust: 1.5 } },
+    { number: 3, par: 4, cannon: { x: 70, y: 0, z: -50 }, flag: { x: 80, y: 0, z: 40 },
+      wind: { direction: 300, strength: 3.0, gust: 0.5 } },
+    { number: 4, par: 3, cannon: { x: 70, y: 0, z: 60 }, flag: { x: 0, y: 0, z: 80 },
+      wind: { direction: 120, strength: 5.5, gust: 2.0 } },
+    { number: 5, par: 4, cannon: { x: -10, y: 0, z: 70 }, flag: { x: -85, y: 0, z: 30 },
+      wind: { direction: 20, strength: 3.5, gust: 1.0 } },
+    { number: 6, par: 3, cannon: { x: -80, y: 0, z: 10 }, flag: { x: -30, y: 0, z: -10 },
+      wind: { direction: 250, strength: 2.0, gust: 0.5 } },
+    { number: 7, par: 4, cannon: { x: -20, y: 0, z: 10 }, flag: { x: 60, y: 0, z: 10 },
+      wind: { direction: 90, strength: 6.0, gust: 2.5 } },
+    { number: 8, par: 4, cannon: { x: 50, y: 0, z: 0 }, flag: { x: 20, y: 0, z: -90 },
+      wind: { direction: 170, strength: 4.5, gust: 1.5 } },
+    { number: 9, par: 4, cannon: { x: 10, y: 0, z: -80 }, flag: { x: -90, y: 0, z: -90 },
+      wind: { direction: 330, strength: 5.0, gust: 2.0 } }
   ]
 };
 
@@ -45,8 +60,39 @@ export const CANNON = {
   offset: { x: 3, y: 0, z: 0 },
   rotation: Math.PI,      // Facing direction
   scale: 1.2,
-  loadDistance: 2,      // Max distance to load ball into cannon
-  adjustDistance: 2.0     // Max distance to adjust cannon rotation/elevation
+  loadDistance: 2,      // Max distance from the breech/muzzle to load a shell
+  loadSideDot: 0.3,     // How far round to the loading end the player must stand (dot with the barrel axis)
+  loadFacingDeg: 35,    // Max angle between the view and the breech/muzzle when loading
+  loadTime: 0.5,        // Seconds for the shell insertion animation
+  adjustDistance: 2.0,    // Max distance to adjust cannon rotation/elevation
+  maxCantDeg: 20          // Steepest pitch/roll a weapon takes from the ground it sits on
+};
+
+// ========== HOWITZER LANYARD ==========
+export const LANYARD = {
+  length: 4,            // Cord length - furthest the gunner can stand from the breech and fire
+  pullDistance: 180,    // Drag (pixels) for a full pull
+  minPull: 0.3,         // Weaker pulls don't trip the firing mechanism
+  idealPull: 0.8,       // Firm pull - clean shot from here...
+  yankPull: 1.2,        // ...up to here; harder is a yank that jerks the gun
+  maxPull: 1.6,         // Drag strength is capped here
+  minQuality: 0.4,      // Quality of the worst pull that still fires
+  maxSpeedLoss: 0.05    // Muzzle speed lost at zero quality
+};
+
+// ========== MORTAR (PUTTING) ==========
+// Short-range, high-angle weapon for the approach (see Mortar.md)
+export const MORTAR = {
+  puttingRadius: 20,      // Ball within this distance of the flag (m) is played with the mortar
+  minElevation: 45,       // M252 elevation range (degrees)
+  maxElevation: 85,
+  maxTraverse: 30,        // Traverse either side of the baseplate heading (degrees)
+  // Reduced charge table (replaces SHOT_PROFILE.charge): heavy at 45° carries about the putting radius
+  charge: {
+    light:    0.45,
+    standard: 0.60,
+    heavy:    0.75
+  }
 };
 
 // ========== CAMERA SETTINGS ==========
@@ -64,7 +110,12 @@ export const CAMERA = {
 export const CONTROLS = {
   lookSensitivity: 0.003,
   maxPitchDeg: 89,
-  moveSpeed: 5.0          // Walking speed in m/s
+  moveSpeed: 5.0,         // Walking speed in m/s
+  eyeHeight: 1.6,         // Eye height above the ground when walking (m)
+  maxSlopeDeg: 35,        // Steeper ground can't be walked up
+  heightSmoothing: 10,    // How fast the eye follows ground height changes (1/s)
+  minEyeClearance: 0.8,   // Eye never lags closer than this to the ground (m)
+  bodyRadius: 0.4         // How close the player gets to a tree trunk (m)
 };
 
 // ========== DRONE SETTINGS ==========
@@ -79,6 +130,72 @@ export const DRONE = {
   startOffset: { x: -3, z: 5 }  // Offset from cannon when entering drone mode
 };
 
+// ========== BUGGY SETTINGS ==========
+export const BUGGY = {
+  maxSpeed: 14,           // Forward top speed (m/s)
+  maxReverseSpeed: 5,
+  acceleration: 6,        // Throttle acceleration (m/s²)
+  brakeDeceleration: 12,  // Throttle against the direction of travel
+  rollingResistance: 1.5, // Coasting deceleration (m/s²)
+  maxSteerDeg: 32,        // Front wheel lock
+  steerRate: 2.5,         // How fast the wheels turn to lock (rad/s)
+  steerAtTopSpeed: 0.3,   // Fraction of the lock still available at top speed
+  wheelbase: 2.2,
+  track: 1.5,
+  wheelRadius: 0.35,
+  suspensionStiffness: 80,
+  suspensionDamping: 14,
+  suspensionTravel: 0.2,  // Max wheel movement from rest (m)
+  seatEyeOffset: { x: 0.35, y: 1.55, z: -0.1 },  // Driver eye, buggy local
+  exitOffset: { x: 1.8, z: -0.1 },                // Where the driver steps out, buggy local
+  enterDistance: 3.0,     // Max player distance to climb in
+  towLength: 3.2,         // Hitch to weapon pivot (matches the howitzer trail)
+  hitchSlack: 2.5,        // Extra reach allowed when hitching
+  setupRadius: 8,         // Unhitching this close to the ball sets up the next shot
+  parkOffset: { x: -5, z: -3 }  // Parking spot at hole start, relative to the cannon facing the flag
+};
+
+// ========== BINOCULARS SETTINGS ==========
+export const BINOCULARS = {
+  magnifications: [4, 8, 12],  // Zoom steps (mouse wheel while raised)
+  defaultMagnification: 0,     // Index into magnifications
+  raiseTime: 0.25,        // Seconds to lift to / lower from the eyes
+  maxRange: 1000,         // Rangefinder reach (m)
+  rangeStep: 1.0,         // Terrain ray-march step (m)
+  rangeUpdateInterval: 0.1,  // Seconds between rangefinder readings
+  pathColor: 0xffcc44
+};
+
+// ========== COURSE MAP SETTINGS ==========
+export const MAP = {
+  canvasSize: 512,        // Map canvas resolution (px)
+  raiseTime: 0.3          // Seconds to unfold / fold away
+};
+
+// ========== AIM ASSIST SETTINGS ==========
+// Practice rounds only: predicted arc and landing marker for the current setup
+export const AIM_ASSIST = {
+  arcColor: 0x66ddff,
+  markerColor: 0x66ddff,
+  markerRadius: 1.2,      // Landing ring radius (m)
+  windStep: 0.5           // Wind is rounded to this (m/s) so gusts don't re-run the prediction every frame
+};
+
+// ========== REPLAY SETTINGS ==========
+export const REPLAY = {
+  playbackSpeed: 1.0,     // Replay time per real second
+  scrubStep: 0.5,         // Seconds per scrub key press
+  chaseDistance: 8,       // Chase camera: meters behind the ball
+  chaseHeight: 3,         // Chase camera: meters above the ball
+  sideDistance: 25,       // Side camera: meters off the line of flight
+  sideHeight: 4,          // Side camera: meters above the ball
+  landingDistance: 18,    // Landing camera: meters back from the resting point towards the weapon
+  landingHeight: 8,       // Landing camera: meters above the resting point
+  cameraSmoothing: 6,     // Camera follow rate (higher = tighter)
+  minCameraClearance: 1.5, // Cameras never dip closer than this to the ground
+  trailColor: 0xffcc44
+};
+
 // ========== PROJECTILE SETTINGS ==========
 export const PROJECTILE = {
   radius: 0.15,           // Ball radius in meters
@@ -88,7 +205,18 @@ export const PROJECTILE = {
   minBounceVelocity: 0.5, // Below this, stop bouncing
   minRollVelocity: 0.1,   // Below this, stop completely
   slowRollSpeed: 0.5,     // Speed considered "slow rolling"
-  maxSlowRollTime: 2.0    // Max seconds of slow rolling before force-stop
+  maxSlowRollTime: 2.0,   // Max seconds of slow rolling before force-stop
+  maxHoleSpeed: 3.0,      // Max rolling speed that still drops into the cup (faster lips out)
+  splashParticles: 14,    // Sprites thrown up when the ball lands in water
+  sinkSpeed: 0.3,         // How fast a ball in water sinks (m/s)
+  sinkDuration: 1.5,      // Seconds before a sunk ball is hidden
+  pathSampleInterval: 0.05, // Seconds between recorded flight path points
+  maxPathPoints: 1200,    // Path recording cap per shot
+  trackSampleInterval: 1 / 30, // Seconds between recorded replay samples
+  maxTrackSamples: 1800,  // Replay recording cap per shot
+  fixedStep: 1 / 120,     // Physics substep (s) - same shot, same landing at any frame rate
+  maxFrameTime: 0.1,      // Longest frame fed to the physics (s), so a stall doesn't queue hundreds of substeps
+  maxSimulationTime: 30   // Cap for a headless simulateShot (s)
 };
 
 // ========== SHOT PROFILE ==========
@@ -128,6 +256,29 @@ export const SHOT_PROFILE = {
   chargeCoupling: { heavy: 0.05, light: -0.03 }
 };
 
+// ========== SURFACE RESPONSE ==========
+// Ground response per terrain material, multiplied into the Break profile at every contact
+//   restitution: bounce height, friction: tangential speed lost on impact, rolling: rolling resistance
+export const SURFACE = {
+  fairway: { restitution: 1.00, friction: 1.00, rolling: 1.00 },
+  green:   { restitution: 0.80, friction: 0.70, rolling: 0.55 },  // Rolls true and long
+  rough:   { restitution: 0.70, friction: 1.60, rolling: 2.20 },  // Grabs the ball
+  bunker:  { restitution: 0.15, friction: 2.50, rolling: 5.00 },  // Plugs with almost no bounce
+  tee:     { restitution: 1.00, friction: 1.00, rolling: 1.00 },
+  water:   { restitution: 0.05, friction: 2.50, rolling: 8.00 }
+};
+
+// ========== LIE ==========
+// Shot modifiers from the surface under the weapon (terrain material names from the codex editor)
+export const LIE = {
+  fairway: { label: 'Fairway', chargeMult: 1.00 },
+  green:   { label: 'Green',   chargeMult: 1.00 },
+  rough:   { label: 'Rough',   chargeMult: 0.85 },   // Soft ground soaks up part of the charge
+  bunker:  { label: 'Bunker',  chargeMult: 1.00, mortarOnly: true },
+  tee:     { label: 'Tee',     chargeMult: 1.05 },   // Firm, level platform
+  water:   { label: 'Water',   chargeMult: 1.00 }
+};
+
 // ========== ENVELOPE PREVIEW MAP ==========
 // ADSR-style parameters for the behaviour envelope graph
 export const ENVELOPE_MAP = {
@@ -169,6 +320,17 @@ export const SMOKE = {
   drift: 0.5              // Random drift speed
 };
 
+// ========== WIND SETTINGS ==========
+// direction: degrees the wind blows toward, same convention as hole headings (0 = +Z, 90 = +X)
+// strength: base speed (m/s), gust: extra speed swing (m/s)
+export const WIND = {
+  minStrength: 1.0,       // Range for generated winds
+  maxStrength: 6.0,
+  maxGust: 2.0,
+  gustFrequency: 0.25,    // Gust cycles per second
+  sockFullStrength: 8.0   // Wind speed (m/s) at which the windsock stands straight out
+};
+
 // ========== FLAG/TARGET SETTINGS ==========
 export const FLAG = {
   scale: 4,               // Overall scale factor (for drone visibility)
@@ -177,7 +339,8 @@ export const FLAG = {
   flagWidth: 0.6,
   flagHeight: 0.4,
   holeRadius: 0.15,       // Radius for "in the hole" detection
-  nearRadius: 1.0         // Radius for "near the hole" feedback
+  nearRadius: 1.0,        // Radius for "near the hole" feedback
+  resultsDelaySec: 1.5    // Delay before the hole-complete overlay appears
 };
 
 // ========== UI SETTINGS ==========
@@ -194,17 +357,57 @@ export const AUTO_FOLLOW = {
   delaySec: 1             // Delay before switching to drone view
 };
 
+// ========== SAVE GAME SETTINGS ==========
+export const SAVE_GAME = {
+  storageKey: 'golfwar.save',  // localStorage key for the round in progress
+  version: 1                   // Bump (and add a migration in save-game.js) when the snapshot changes
+};
+
+// ========== SCORECARD SETTINGS ==========
+export const SCORECARD = {
+  storageKey: 'golfwar.scorecard',  // localStorage key for saved rounds and bests
+  maxSavedRounds: 20                // Oldest completed rounds are dropped beyond this
+};
+
 // ========== TERRAIN SETTINGS ==========
 export const TERRAIN = {
   configFile: './golf_course.json',  // JSON file with terrain heightmap config
   enabled: true,                      // Whether to use heightmap terrain
   texture: './golf_course.png',       // Texture to apply to terrain
   fallbackSize: 4000,                 // Size if heightmap fails to load
-  fallbackResolution: 64              // Resolution if heightmap fails
+  fallbackResolution: 64,             // Resolution if heightmap fails
+  defaultMaterial: 'fairway'          // Surface reported where no material map is loaded
+};
+
+// ========== TREE SETTINGS ==========
+// Placement defaults are in trees.js (TREE_DEFAULTS), overridden by the course manifest's trees section
+export const TREES = {
+  surfaces: ['rough'],    // Painted materials trees grow on (anywhere without a material map)
+  clearance: 15,          // No trees this close to a tee or flag (m)
+  colliderCell: 8,        // Collision lookup grid cell (m), wider than the biggest canopy
+  trunkRestitution: 0.35, // Bounce off a trunk
+  trunkFriction: 0.3,     // Speed along the trunk lost on impact
+  canopyDrag: 0.9         // Speed lost per meter flown through foliage (exponential)
 };
 
 // ========== HELPER FUNCTIONS ==========
 
+// Manifest path for a course id (the ?course= query parameter)
+// Ids are folder names under COURSE.manifestDir, so only letters, digits, - and _ are allowed
+export function getCourseManifestPath(courseId) {
+  if (!/^[A-Za-z0-9_-]+$/.test(courseId)) {
+    throw new Error(`Invalid course id "${courseId}"`);
+  }
+  return `${COURSE.manifestDir}${courseId}/manifest.json`;
+}
+
+// Use a parsed course (see course-loader.js) in place of the built-in holes
+export function setCourse(course) {
+  COURSE.name = course.name;
+  COURSE.holeCount = course.holes.length;
+  COURSE.holes = course.holes;
+}
+
 // Get hole data by number (1-indexed)
 export function getHole(holeNumber) {
   return COURSE.holes.find(h => h.number === holeNumber) || COURSE.holes[0];
@@ -226,28 +429,92 @@ export function getFlagPosition(holeNumber) {
   return { ...hole.flag };
 }
 
-// Get total par for the course
-export function getCoursePar() {
-  return COURSE.holes.reduce((total, hole) => total + hole.par, 0);
+// Get cup detection radii in world units (scaled like the ring drawn by createFlag)
+export function getHoleRadii() {
+  return {
+    holeRadius: FLAG.holeRadius * FLAG.scale,
+    nearRadius: FLAG.nearRadius * FLAG.scale
+  };
 }
 
-// Build cannon config for createHowitzer
+// Get heading (Y rotation, radians) that points a weapon's +Z axis from the cannon to the flag
+export function getHoleHeading(holeNumber) {
+  const hole = getHole(holeNumber);
+  return Math.atan2(hole.flag.x - hole.cannon.x, hole.flag.z - hole.cannon.z);
+}
+
+// Get wind for a hole: configured in COURSE, or generated deterministically from the hole number
+export function getHoleWind(holeNumber) {
+  const hole = getHole(holeNumber);
+  if (hole.wind) return { ...hole.wind };
+
+  const random = (seed) => {
+    const x = Math.sin(hole.number * 12.9898 + seed * 78.233) * 43758.5453;
+    return x - Math.floor(x);
+  };
+  return {
+    direction: Math.round(random(1) * 360),
+    strength: WIND.minStrength + random(2) * (WIND.maxStrength - WIND.minStrength),
+    gust: random(3) * WIND.maxGust
+  };
+}
+
+// Get total par for a course (the current COURSE by default)
+export function getCoursePar(course = COURSE) {
+  return course.holes.reduce((total, hole) => total + hole.par, 0);
+}
+
+// Build cannon config for createHowitzer (faces the hole's flag)
 export function buildCannonConfig(holeNumber) {
   const pos = getCannonPosition(holeNumber);
   return {
     position: pos,
-    rotation: CANNON.rotation,
+    rotation: getHoleHeading(holeNumber),
     scale: CANNON.scale
   };
 }
 
 // Build camera start position for a hole
 export function buildCameraStartPosition(holeNumber) {
-  const cannonPos = getCannonPosition(holeNumber);
+  return buildCameraStartBeside(getCannonPosition(holeNumber), getHoleHeading(holeNumber));
+}
+
+// Camera position beside a weapon at cannonPos facing heading (radians)
+// CAMERA.startOffset is authored for a cannon at CANNON.rotation, so it turns with the heading
+export function buildCameraStartBeside(cannonPos, heading) {
+  const angle = heading - CANNON.rotation;
+  const cos = Math.cos(angle);
+  const sin = Math.sin(angle);
+  const { x, y, z } = CAMERA.startOffset;
+  return {
+    x: cannonPos.x + x * cos + z * sin,
+    y: cannonPos.y + y,
+    z: cannonPos.z - x * sin + z * cos
+  };
+}
+
+// Build camera start yaw for a hole (radians, looking down the hole)
+export function buildCameraStartYaw(holeNumber) {
+  return getHoleHeading(holeNumber) + Math.PI;
+}
+
+// Build buggy parking spot for a hole (beside the cannon, facing the flag)
+export function buildBuggyStart(holeNumber) {
+  return buildBuggyStartBeside(getCannonPosition(holeNumber), getHoleHeading(holeNumber));
+}
+
+// Buggy parking spot beside a weapon at cannonPos facing heading (radians)
+export function buildBuggyStartBeside(cannonPos, heading) {
+  const cos = Math.cos(heading);
+  const sin = Math.sin(heading);
+  const { x, z } = BUGGY.parkOffset;
   return {
-    x: cannonPos.x + CAMERA.startOffset.x,
-    y: cannonPos.y + CAMERA.startOffset.y,
-    z: cannonPos.z + CAMERA.startOffset.z
+    position: {
+      x: cannonPos.x + x * cos + z * sin,
+      y: cannonPos.y,
+      z: cannonPos.z - x * sin + z * cos
+    },
+    heading
   };
 }
 
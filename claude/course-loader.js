@@ -0,0 +1,213 @@
+// Course loader - course manifests and the hole layout (tee/cannon, flag, par, name) exported by the codex editor
+import { HEIGHTMAP_EXPORT_TYPES, resolveConfigRelativePath } from './terrain-heightmap.js';
+
+// Manifest format version understood by this build
+export const COURSE_MANIFEST_VERSION = 1;
+
+// Check a hole's wind (see WIND in config.js): direction in degrees, strength and optional gust in m/s
+function parseWind(wind, number) {
+  if (!wind || typeof wind !== 'object') throw new Error(`Hole ${number}: wind is not an object`);
+  if (!Number.isFinite(wind.direction)) throw new Error(`Hole ${number}: wind direction must be a number of degrees`);
+  if (!Number.isFinite(wind.strength) || wind.strength < 0) {
+    throw new Error(`Hole ${number}: wind strength must be zero or more`);
+  }
+  if (wind.gust !== undefined && !(Number.isFinite(wind.gust) && wind.gust >= 0)) {
+    throw new Error(`Hole ${number}: wind gust must be zero or more`);
+  }
+  return { direction: wind.direction, strength: wind.strength, gust: wind.gust || 0 };
+}
+
+// Check a course export and normalise it into the COURSE shape
+// Throws an Error naming the first problem found
+export function parseCourse(data) {
+  if (!data || typeof data !== 'object') {
+    throw new Error('Course file is not a JSON object');
+  }
+  if (!Array.isArray(data.holes) || data.holes.length === 0) {
+    throw new Error('Course has no holes');
+  }
+
+  const isPoint = (point) => point && Number.isFinite(point.x) && Number.isFinite(point.z);
+
+  const holes = data.holes.map((hole, index) => {
+    const number = index + 1;
+    if (!isPoint(hole.cannon)) throw new Error(`Hole ${number}: missing tee/cannon position`);
+    if (!isPoint(hole.flag)) throw new Error(`Hole ${number}: missing flag position`);
+    if (!Number.isInteger(hole.par) || hole.par < 1) throw new Error(`Hole ${number}: par must be a positive whole number`);
+
+    const parsed = {
+      number,
+      name: typeof hole.name === 'string' && hole.name.trim() ? hole.name.trim() : `Hole ${number}`,
+      par: hole.par,
+      // y is resampled from the terrain on hole setup
+      cannon: { x: hole.cannon.x, y: hole.cannon.y || 0, z: hole.cannon.z },
+      flag: { x: hole.flag.x, y: hole.flag.y || 0, z: hole.flag.z }
+    };
+    if (hole.wind !== undefined) parsed.wind = parseWind(hole.wind, number);
+    return parsed;
+  });
+
+  return {
+    name: typeof data.name === 'string' && data.name.trim() ? data.name.trim() : 'Untitled Course',
+    holeCount: holes.length,
+    holes
+  };
+}
+
+// Fetch the list of course ids shown on the title menu
+export async function loadCourseCatalog(path) {
+  const data = await fetchJSON(path, 'course catalog');
+  if (!data || !Array.isArray(data.courses) || !data.courses.every(id => typeof id === 'string' && id)) {
+    throw new Error(`Course catalog ${path}: courses must be a list of course ids`);
+  }
+  return data.courses;
+}
+
+// ========== COURSE MANIFEST ==========
+// One JSON file per course: terrain (heightmap + material map), holes, texture, tree settings
+// and lighting defaults. Files are relative to the manifest (or to the terrain file for its binaries)
+
+// Check the terrain section: the codex terrain export fields
+function parseTerrainSection(terrain, label) {
+  if (!terrain || typeof terrain !== 'object') throw new Error(`${label}: terrain is not an object`);
+
+  if (!(terrain.terrainSize > 0)) throw new Error(`${label}: terrainSize must be a positive number`);
+  if (!Number.isInteger(terrain.resolution) || terrain.resolution < 1) {
+    throw new Error(`${label}: resolution must be a positive whole number`);
+  }
+  if (!Number.isFinite(terrain.maxHeight) || terrain.maxHeight < 0) {
+    throw new Error(`${label}: maxHeight must be zero or more`);
+  }
+  if (!HEIGHTMAP_EXPORT_TYPES.includes(terrain.exportType)) {
+    throw new Error(`${label}: unknown exportType "${terrain.exportType}" (expected ${HEIGHTMAP_EXPORT_TYPES.join(' or ')})`);
+  }
+  if (typeof terrain.binaryFile !== 'string' || !terrain.binaryFile) throw new Error(`${label}: missing heightmap binaryFile`);
+  if (terrain.materialFile !== undefined && (typeof terrain.materialFile !== 'string' || !terrain.materialFile)) {
+    throw new Error(`${label}: materialFile must be a file name`);
+  }
+  if (terrain.materialLegend !== undefined) {
+    const legendOk = Array.isArray(terrain.materialLegend) && terrain.materialLegend.every(entry =>
+      entry && Number.isInteger(entry.id) && typeof entry.name === 'string');
+    if (!legendOk) throw new Error(`${label}: materialLegend entries need an id and a name`);
+  }
+
+  return { ...terrain };
+}
+
+// Check a course manifest and normalise it
+// manifestPath resolves the files it references; throws an Error naming the first problem found
+// terrain/holes may be inline or the path of a codex export (fetched by loadCourseManifest)
+export function parseCourseManifest(data, manifestPath) {
+  const label = `Course manifest ${manifestPath}`;
+  if (!data || typeof data !== 'object') throw new Error(`${label}: not a JSON object`);
+  if (data.version !== COURSE_MANIFEST_VERSION) {
+    throw new Error(`${label}: unsupported version ${data.version} (expected ${COURSE_MANIFEST_VERSION})`);
+  }
+  if (typeof data.name !== 'string' || !data.name.trim()) throw new Error(`${label}: missing name`);
+
+  const resolve = (file) => resolveConfigRelativePath(manifestPath, file);
+
+  const manifest = {
+    path: manifestPath,
+    name: data.name.trim(),
+    terrain: null,
+    terrainPath: manifestPath,
+    course: null,
+    holesFile: null,
+    texture: null,
+    trees: null,
+    lighting: {}
+  };
+
+  // Terrain
+  if (typeof data.terrain === 'string' && data.terrain) {
+    manifest.terrainPath = resolve(data.terrain);
+  } else if (data.terrain === undefined) {
+    throw new Error(`${label}: missing terrain`);
+  } else {
+    manifest.terrain = parseTerrainSection(data.terrain, label);
+  }
+
+  // Holes
+  if (typeof data.holes === 'string' && data.holes) {
+    manifest.holesFile = resolve(data.holes);
+  } else if (Array.isArray(data.holes)) {
+    try {
+      manifest.course = parseCourse({ name: manifest.name, holes: data.holes });
+    } catch (error) {
+      throw new Error(`${label}: ${error.message}`);
+    }
+  } else {
+    throw new Error(`${label}: missing holes`);
+  }
+
+  if (data.texture !== undefined) {
+    if (typeof data.texture !== 'string' || !data.texture) throw new Error(`${label}: texture must be a file name`);
+    manifest.texture = resolve(data.texture);
+  }
+
+  // Tree settings override the generator defaults (see trees.js)
+  if (data.trees !== undefined) {
+    const treesOk = data.trees && typeof data.trees === 'object' &&
+      Object.values(data.trees).every(value => Number.isFinite(value));
+    if (!treesOk) throw new Error(`${label}: trees must be an object of numeric settings`);
+    manifest.trees = { ...data.trees };
+  }
+
+  if (data.lighting !== undefined) {
+    const hour = data.lighting && data.lighting.hour;
+    if (hour !== undefined && !(Number.isFinite(hour) && hour >= 0 && hour <= 24)) {
+      throw new Error(`${label}: lighting.hour must be between 0 and 24`);
+    }
+    manifest.lighting = { ...data.lighting };
+  }
+
+  return manifest;
+}
+
+// Fetch a JSON file, naming the file in any error
+async function fetchJSON(path, what) {
+  const response = await fetch(path);
+  if (!response.ok) throw new Error(`Missing ${what}: ${path} (${response.status})`);
+  try {
+    return await response.json();
+  } catch {
+    throw new Error(`${what} is not valid JSON: ${path}`);
+  }
+}
+
+// Check a referenced file exists without downloading it
+async function checkFile(path, what) {
+  const response = await fetch(path, { method: 'HEAD' });
+  if (!response.ok) throw new Error(`Missing ${what}: ${path} (${response.status})`);
+}
+
+// Fetch, validate and resolve a course manifest
+// Returns the parsed manifest with terrain and course filled in; the heightmap and material
+// binaries are checked for existence here and for vertex count when the terrain loads
+export async function loadCourseManifest(manifestPath) {
+  const manifest = parseCourseManifest(await fetchJSON(manifestPath, 'course manifest'), manifestPath);
+
+  if (!manifest.terrain) {
+    const terrainData = await fetchJSON(manifest.terrainPath, 'terrain file');
+    manifest.terrain = parseTerrainSection(terrainData, `Terrain file ${manifest.terrainPath}`);
+  }
+
+  if (!manifest.course) {
+    const holesData = await fetchJSON(manifest.holesFile, 'holes file');
+    try {
+      manifest.course = parseCourse(holesData);
+    } catch (error) {
+      throw new Error(`${manifest.holesFile}: ${error.message}`);
+    }
+    manifest.course.name = manifest.name;
+  }
+
+  await checkFile(resolveConfigRelativePath(manifest.terrainPath, manifest.terrain.binaryFile), 'heightmap');
+  if (manifest.terrain.materialFile) {
+    await checkFile(resolveConfigRelativePath(manifest.terrainPath, manifest.terrain.materialFile), 'material map');
+  }
+  if (manifest.texture) await checkFile(manifest.texture, 'course texture');
+
+  return manifest;
+}
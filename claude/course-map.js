@@ -0,0 +1,295 @@
+// Course Map module - baked top-down terrain map with live markers and distance scale
+import * as THREE from 'three';
+
+// Nice lengths for the scale bar (m)
+const SCALE_STEPS = [5, 10, 20, 25, 50, 100, 200, 250, 500, 1000];
+
+// Bake the terrain's vertex colors (from applyVertexColors) into a canvas, one pixel per vertex,
+// with simple hillshading from the terrain normals. North (+Z) is up, east (-X) is right.
+export function bakeTerrainMap(terrain) {
+  const size = terrain.config.terrainSize;
+  const resolution = terrain.config.resolution || 128;
+  const half = size / 2;
+  const gridSize = resolution + 1;
+
+  const canvas = document.createElement('canvas');
+  canvas.width = gridSize;
+  canvas.height = gridSize;
+  const ctx = canvas.getContext('2d');
+  const image = ctx.createImageData(gridSize, gridSize);
+
+  const geometry = terrain.mesh.geometry;
+  const positions = geometry.attributes.position;
+  const colors = geometry.attributes.color;
+  const baseColor = terrain.mesh.material.color || new THREE.Color(0x4a7c30);
+  const light = new THREE.Vector3(1, 1.5, 1).normalize();
+  const color = new THREE.Color();
+
+  for (let i = 0; i < positions.count; i++) {
+    const x = positions.getX(i);
+    const z = positions.getZ(i);
+    const px = Math.round(((half - x) / size) * resolution);
+    const py = Math.round(((half - z) / size) * resolution);
+    if (px < 0 || px >= gridSize || py < 0 || py >= gridSize) continue;
+
+    // Hillshade: flat ground keeps its color, slopes facing the light brighten
+    const normal = terrain.getNormalAt(x, z);
+    const shade = THREE.MathUtils.clamp(1 + (normal.dot(light) - light.y) * 0.8, 0.5, 1.3);
+
+    // Vertex colors are linear; the canvas wants sRGB
+    if (colors) {
+      color.setRGB(colors.getX(i), colors.getY(i), colors.getZ(i));
+    } else {
+      color.copy(baseColor);
+    }
+    color.convertLinearToSRGB();
+
+    const offset = (py * gridSize + px) * 4;
+    image.data[offset] = Math.min(255, color.r * shade * 255);
+    image.data[offset + 1] = Math.min(255, color.g * shade * 255);
+    image.data[offset + 2] = Math.min(255, color.b * shade * 255);
+    image.data[offset + 3] = 255;
+  }
+
+  ctx.putImageData(image, 0, 0);
+  return canvas;
+}
+
+// Create course map system
+export function createCourseMap(terrain, config) {
+  const worldSize = terrain.config.terrainSize;
+  const half = worldSize / 2;
+  const baked = bakeTerrainMap(terrain);
+
+  const state = {
+    phase: 'lowered',   // 'lowered' | 'raising' | 'raised' | 'lowering'
+    progress: 0,
+    heldModel: null,
+    onLowered: null
+  };
+
+  // Paper-style panel in the middle of the screen
+  const overlay = document.createElement('div');
+  overlay.id = 'course-map-overlay';
+  overlay.style.cssText = `
+    position: fixed;
+    top: 50%;
+    left: 50%;
+    transform: translate(-50%, -50%);
+    padding: 12px;
+    border-radius: 6px;
+    background: #e8dcb8;
+    border: 2px solid #8a7a50;
+    box-shadow: 0 6px 24px rgba(0, 0, 0, 0.6);
+    display: none;
+    pointer-events: none;
+    z-index: 150;
+    font-family: monospace;
+    color: #3a3020;
+    text-align: center;
+  `;
+  const title = document.createElement('div');
+  title.style.cssText = 'font-size: 13px; font-weight: bold; margin-bottom: 6px;';
+  overlay.appendChild(title);
+
+  const canvas = document.createElement('canvas');
+  canvas.width = config.canvasSize;
+  canvas.height = config.canvasSize;
+  canvas.style.cssText = `
+    display: block;
+    width: min(70vmin, ${config.canvasSize}px);
+    height: min(70vmin, ${config.canvasSize}px);
+    border: 1px solid #8a7a50;
+  `;
+  overlay.appendChild(canvas);
+  document.body.appendChild(overlay);
+
+  const ctx = canvas.getContext('2d');
+
+  // World XZ → canvas pixels (north up, east right)
+  function toCanvas(x, z) {
+    return {
+      x: ((half - x) / worldSize) * canvas.width,
+      y: ((half - z) / worldSize) * canvas.height
+    };
+  }
+
+  function drawMarker(position, color, radius) {
+    const p = toCanvas(position.x, position.z);
+    ctx.beginPath();
+    ctx.arc(p.x, p.y, radius, 0, Math.PI * 2);
+    ctx.fillStyle = color;
+    ctx.fill();
+    ctx.lineWidth = 1.5;
+    ctx.strokeStyle = '#000';
+    ctx.stroke();
+  }
+
+  function drawFlag(position) {
+    const p = toCanvas(position.x, position.z);
+    ctx.strokeStyle = '#000';
+    ctx.lineWidth = 2;
+    ctx.beginPath();
+    ctx.moveTo(p.x, p.y);
+    ctx.lineTo(p.x, p.y - 16);
+    ctx.stroke();
+    ctx.fillStyle = '#cc2222';
+    ctx.beginPath();
+    ctx.moveTo(p.x, p.y - 16);
+    ctx.lineTo(p.x + 11, p.y - 12);
+    ctx.lineTo(p.x, p.y - 8);
+    ctx.closePath();
+    ctx.fill();
+  }
+
+  // Arrow pointing along the player's view (forward: world XZ direction)
+  function drawPlayer(position, forward) {
+    const p = toCanvas(position.x, position.z);
+    const angle = Math.atan2(-forward.x, forward.z);  // Screen angle clockwise from up
+    ctx.save();
+    ctx.translate(p.x, p.y);
+    ctx.rotate(angle);
+    ctx.beginPath();
+    ctx.moveTo(0, -9);
+    ctx.lineTo(6, 7);
+    ctx.lineTo(0, 3);
+    ctx.lineTo(-6, 7);
+    ctx.closePath();
+    ctx.fillStyle = '#2266ff';
+    ctx.fill();
+    ctx.strokeStyle = '#fff';
+    ctx.lineWidth = 1.5;
+    ctx.stroke();
+    ctx.restore();
+  }
+
+  // Scale bar in the bottom-left corner
+  function drawScale() {
+    const target = worldSize / 4;
+    const length = SCALE_STEPS.reduce((best, step) => (step <= target ? step : best), SCALE_STEPS[0]);
+    const pixels = (length / worldSize) * canvas.width;
+    const x = 14;
+    const y = canvas.height - 16;
+
+    ctx.fillStyle = 'rgba(232, 220, 184, 0.85)';
+    ctx.fillRect(x - 6, y - 18, pixels + 12, 26);
+    ctx.strokeStyle = '#3a3020';
+    ctx.lineWidth = 2;
+    ctx.beginPath();
+    ctx.moveTo(x, y - 5);
+    ctx.lineTo(x, y);
+    ctx.lineTo(x + pixels, y);
+    ctx.lineTo(x + pixels, y - 5);
+    ctx.stroke();
+    ctx.fillStyle = '#3a3020';
+    ctx.font = '12px monospace';
+    ctx.textAlign = 'center';
+    ctx.fillText(`${length} m`, x + pixels / 2, y - 6);
+
+    // North arrow in the top-right corner
+    ctx.font = 'bold 13px monospace';
+    ctx.fillText('N', canvas.width - 18, 20);
+    ctx.beginPath();
+    ctx.moveTo(canvas.width - 18, 24);
+    ctx.lineTo(canvas.width - 23, 36);
+    ctx.lineTo(canvas.width - 13, 36);
+    ctx.closePath();
+    ctx.fill();
+  }
+
+  // markers: { player, forward, cannon, ball, flag, hole, par }
+  function draw(markers) {
+    ctx.imageSmoothingEnabled = true;
+    ctx.drawImage(baked, 0, 0, canvas.width, canvas.height);
+
+    // Line of play from the cannon to the flag
+    const from = toCanvas(markers.cannon.x, markers.cannon.z);
+    const to = toCanvas(markers.flag.x, markers.flag.z);
+    ctx.setLineDash([6, 5]);
+    ctx.strokeStyle = 'rgba(255, 255, 255, 0.8)';
+    ctx.lineWidth = 1.5;
+    ctx.beginPath();
+    ctx.moveTo(from.x, from.y);
+    ctx.lineTo(to.x, to.y);
+    ctx.stroke();
+    ctx.setLineDash([]);
+
+    drawFlag(markers.flag);
+    drawMarker(markers.cannon, '#555555', 6);
+    if (markers.ball) drawMarker(markers.ball, '#ffffff', 4);
+    drawPlayer(markers.player, markers.forward);
+    drawScale();
+
+    const toFlag = Math.hypot(markers.flag.x - markers.player.x, markers.flag.z - markers.player.z);
+    title.textContent = `Hole ${markers.hole} · Par ${markers.par} · Flag ${toFlag.toFixed(0)}m`;
+  }
+
+  // heldModel: the map hand object (lifted towards the eyes while raising)
+  function raise(heldModel) {
+    if (state.phase === 'raised' || state.phase === 'raising') return;
+    state.heldModel = heldModel;
+    state.phase = 'raising';
+  }
+
+  function lower() {
+    if (state.phase === 'lowered' || state.phase === 'lowering') return;
+    overlay.style.display = 'none';
+    state.phase = 'lowering';
+  }
+
+  function forceLower() {
+    if (state.phase === 'lowered') return;
+    state.progress = 0;
+    finishLowering();
+  }
+
+  function finishLowering() {
+    state.phase = 'lowered';
+    overlay.style.display = 'none';
+    if (state.heldModel) {
+      state.heldModel.position.copy(state.heldModel.userData.basePosition);
+    }
+    if (state.onLowered) state.onLowered();
+  }
+
+  function update(dt, markers) {
+    const step = dt / config.raiseTime;
+
+    if (state.phase === 'raising') {
+      state.progress = Math.min(1, state.progress + step);
+      if (state.progress >= 1) {
+        state.phase = 'raised';
+        overlay.style.display = 'block';
+      }
+    } else if (state.phase === 'lowering') {
+      state.progress = Math.max(0, state.progress - step);
+      if (state.progress <= 0) {
+        finishLowering();
+        return;
+      }
+    }
+
+    if (state.phase === 'lowered') return;
+
+    if (state.heldModel) {
+      const { basePosition, raisedPosition } = state.heldModel.userData;
+      state.heldModel.position.lerpVectors(basePosition, raisedPosition, state.progress);
+    }
+
+    if (state.phase === 'raised') {
+      draw(markers);
+    }
+  }
+
+  return {
+    raise,
+    lower,
+    forceLower,
+    update,
+    isActive: () => state.phase !== 'lowered',
+    isRaised: () => state.phase === 'raised',
+    onLowered(callback) {
+      state.onLowered = callback;
+    }
+  };
+}
@@ -0,0 +1,241 @@
+// Course menu - title screen listing the available courses with start, practice and resume choices
+
+// Create the course menu
+export function createCourseMenu() {
+  // Full-screen title overlay (above everything else in the game)
+  const overlay = document.createElement('div');
+  overlay.id = 'course-menu-overlay';
+  overlay.style.cssText = `
+    position: fixed;
+    top: 0;
+    left: 0;
+    width: 100%;
+    height: 100%;
+    display: none;
+    flex-direction: column;
+    align-items: center;
+    justify-content: center;
+    background: radial-gradient(ellipse at center, rgba(26, 26, 46, 0.92) 0%, rgba(8, 8, 16, 0.98) 100%);
+    color: #fff;
+    font-family: monospace;
+    z-index: 1100;
+  `;
+  document.body.appendChild(overlay);
+
+  const style = document.createElement('style');
+  style.textContent = `
+    .course-menu-title {
+      margin: 0;
+      font-size: 42px;
+      letter-spacing: 6px;
+      color: #fc8;
+    }
+    .course-menu-subtitle {
+      margin: 4px 0 24px;
+      color: rgba(255, 255, 255, 0.5);
+    }
+    .course-menu-list {
+      display: flex;
+      flex-wrap: wrap;
+      justify-content: center;
+      gap: 14px;
+      max-width: 90vw;
+      max-height: 55vh;
+      overflow-y: auto;
+    }
+    .course-card {
+      width: 170px;
+      padding: 10px;
+      border-radius: 8px;
+      background: rgba(0, 0, 0, 0.6);
+      border: 2px solid rgba(255, 255, 255, 0.2);
+      cursor: pointer;
+      text-align: center;
+    }
+    .course-card.selected {
+      border-color: #8cf;
+      background: rgba(100, 180, 255, 0.15);
+    }
+    .course-card.unavailable {
+      cursor: default;
+      opacity: 0.6;
+    }
+    .course-card canvas {
+      width: 150px;
+      height: 150px;
+      image-rendering: pixelated;
+      border-radius: 4px;
+      display: block;
+      margin: 0 auto 8px;
+    }
+    .course-card-name {
+      font-size: 15px;
+      color: #8cf;
+    }
+    .course-card-detail {
+      font-size: 12px;
+      color: rgba(255, 255, 255, 0.7);
+      margin-top: 4px;
+    }
+    .course-card-error {
+      font-size: 11px;
+      color: #f88;
+      margin-top: 4px;
+      word-break: break-word;
+    }
+    .course-menu-actions {
+      margin-top: 24px;
+    }
+    .course-menu-btn {
+      margin: 0 6px;
+      padding: 10px 20px;
+      border: 1px solid rgba(100, 180, 255, 0.7);
+      background: rgba(100, 180, 255, 0.3);
+      color: #fff;
+      font-family: monospace;
+      font-size: 15px;
+      border-radius: 4px;
+      cursor: pointer;
+    }
+    .course-menu-btn:hover {
+      background: rgba(100, 180, 255, 0.45);
+    }
+    .course-menu-btn:disabled {
+      opacity: 0.4;
+      cursor: default;
+    }
+    .course-menu-btn.secondary {
+      border-color: rgba(255, 255, 255, 0.4);
+      background: rgba(255, 255, 255, 0.1);
+    }
+    .course-menu-hint {
+      margin-top: 14px;
+      font-size: 11px;
+      color: rgba(255, 255, 255, 0.4);
+    }
+  `;
+  document.head.appendChild(style);
+
+  const state = {
+    courses: [],
+    selected: 0,
+    options: null
+  };
+
+  // Only courses that loaded can be played
+  const isPlayable = (course) => course && !course.error;
+
+  function render() {
+    const { canResume, resumeLabel } = state.options;
+    overlay.innerHTML = `
+      <h1 class="course-menu-title">GOLF WAR</h1>
+      <div class="course-menu-subtitle">Choose a course</div>
+      <div class="course-menu-list"></div>
+      <div class="course-menu-actions">
+        ${canResume ? `<button class="course-menu-btn secondary" data-action="resume"></button>` : ''}
+        <button class="course-menu-btn secondary" data-action="practice">Practice</button>
+        <button class="course-menu-btn" data-action="round">Start Round</button>
+      </div>
+      <div class="course-menu-hint">←/→ choose · Enter start · P practice${canResume ? ' · Esc resume' : ''}</div>
+    `;
+
+    const resumeBtn = overlay.querySelector('[data-action="resume"]');
+    if (resumeBtn) resumeBtn.textContent = resumeLabel || 'Resume';
+
+    const list = overlay.querySelector('.course-menu-list');
+    state.courses.forEach((course, index) => {
+      const card = document.createElement('div');
+      card.className = `course-card${index === state.selected ? ' selected' : ''}${isPlayable(course) ? '' : ' unavailable'}`;
+      if (course.thumbnail) card.appendChild(course.thumbnail);
+
+      const name = document.createElement('div');
+      name.className = 'course-card-name';
+      name.textContent = course.name;
+      card.appendChild(name);
+
+      const detail = document.createElement('div');
+      if (isPlayable(course)) {
+        detail.className = 'course-card-detail';
+        detail.textContent = `${course.holeCount} holes · Par ${course.par}`;
+      } else {
+        detail.className = 'course-card-error';
+        detail.textContent = course.error;
+      }
+      card.appendChild(detail);
+
+      card.addEventListener('click', () => select(index));
+      card.addEventListener('dblclick', () => start('round'));
+      list.appendChild(card);
+    });
+
+    const playable = isPlayable(state.courses[state.selected]);
+    overlay.querySelectorAll('[data-action="round"], [data-action="practice"]').forEach(btn => {
+      btn.disabled = !playable;
+    });
+    overlay.querySelectorAll('.course-menu-btn').forEach(btn => {
+      btn.addEventListener('click', () => {
+        if (btn.dataset.action === 'resume') resume();
+        else start(btn.dataset.action);
+      });
+    });
+  }
+
+  function select(index) {
+    if (index < 0 || index >= state.courses.length) return;
+    state.selected = index;
+    render();
+  }
+
+  // mode: 'round' or 'practice'
+  function start(mode) {
+    const course = state.courses[state.selected];
+    if (!isPlayable(course)) return;
+    const onStart = state.options.onStart;
+    hide();
+    onStart(course, mode);
+  }
+
+  function resume() {
+    if (!state.options.canResume) return;
+    const onResume = state.options.onResume;
+    hide();
+    if (onResume) onResume();
+  }
+
+  // courses: [{ id, name, holeCount, par, thumbnail (canvas), error }]
+  // options: selectedId, canResume, resumeLabel, onStart(course, mode), onResume() (optional)
+  function show(courses, options) {
+    state.courses = courses;
+    state.options = options;
+    const selected = courses.findIndex(course => course.id === options.selectedId);
+    state.selected = selected >= 0 ? selected : Math.max(0, courses.findIndex(isPlayable));
+    render();
+    overlay.style.display = 'flex';
+  }
+
+  function hide() {
+    overlay.style.display = 'none';
+    state.options = null;
+  }
+
+  function isVisible() {
+    return overlay.style.display !== 'none';
+  }
+
+  // Registered before the game's own key handler; the menu keeps its keys while open
+  window.addEventListener('keydown', (event) => {
+    if (!isVisible()) return;
+    event.stopImmediatePropagation();
+    if (event.code === 'ArrowLeft') select(state.selected - 1);
+    if (event.code === 'ArrowRight') select(state.selected + 1);
+    if (event.code === 'Enter') start('round');
+    if (event.code === 'KeyP') start('practice');
+    if (event.code === 'Escape') resume();
+  });
+
+  return {
+    show,
+    hide,
+    isVisible
+  };
+}
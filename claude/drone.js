@@ -232,10 +232,20 @@ export function createDroneSystem(camera, renderer, config) {
     return state.transitionSpeed;
   }
 
+  // Reset for a new hole: drop back to the ground camera and take the hole's cannon placement
+  function reset(newConfig) {
+    if (state.active || state.transitioning) {
+      deactivate();
+    }
+    if (newConfig.startOffset) state.startOffset = newConfig.startOffset;
+    if (newConfig.cannonPosition) state.cannonPosition = newConfig.cannonPosition;
+  }
+
   return {
     activate,
     deactivate,
     toggle,
+    reset,
     update,
     adjustSpeed,
     setSpeed,
@@ -38,9 +38,50 @@ export function createFlag(config = {}) {
     side: THREE.DoubleSide
   });
   const flag = new THREE.Mesh(flagGeometry, flagMaterial);
-  flag.position.set(poleRadius, poleHeight - flagHeight - poleRadius * 2, 0);
+  flag.position.set(poleRadius, 0, 0);
   flag.castShadow = true;
-  group.add(flag);
+
+  // Pennant pivots around the pole to fly downwind (local +X points downwind)
+  const flagPivot = new THREE.Group();
+  flagPivot.position.y = poleHeight - flagHeight - poleRadius * 2;
+  flagPivot.add(flag);
+  group.add(flagPivot);
+
+  // Windsock - striped open cone on a short arm below the pennant
+  const sockLength = flagWidth * 0.9;
+  const sockMouth = flagHeight * 0.25;
+  const sockPivot = new THREE.Group();
+  sockPivot.position.y = poleHeight * 0.7;
+  sockPivot.rotation.order = 'YZX';  // Yaw to wind, then droop in local space
+
+  const armGeometry = new THREE.CylinderGeometry(poleRadius * 0.5, poleRadius * 0.5, poleRadius * 4, 6);
+  armGeometry.rotateZ(Math.PI / 2);
+  armGeometry.translate(poleRadius * 2, 0, 0);
+  sockPivot.add(new THREE.Mesh(armGeometry, poleMaterial));
+
+  const stripeCount = 4;
+  const stripeLength = sockLength / stripeCount;
+  for (let i = 0; i < stripeCount; i++) {
+    // Radius narrows linearly from the mouth to the tail
+    const r0 = sockMouth * (1 - 0.55 * (i / stripeCount));
+    const r1 = sockMouth * (1 - 0.55 * ((i + 1) / stripeCount));
+    const stripeGeometry = new THREE.CylinderGeometry(r1, r0, stripeLength, 10, 1, true);
+    stripeGeometry.rotateZ(-Math.PI / 2);  // Cylinder +Y (narrow end) → +X
+    stripeGeometry.translate(poleRadius * 4 + stripeLength * (i + 0.5), 0, 0);
+    const stripeMaterial = new THREE.MeshStandardMaterial({
+      color: i % 2 === 0 ? 0xff6600 : 0xffffff,
+      roughness: 0.7,
+      metalness: 0.0,
+      side: THREE.DoubleSide
+    });
+    const stripe = new THREE.Mesh(stripeGeometry, stripeMaterial);
+    stripe.castShadow = true;
+    sockPivot.add(stripe);
+  }
+  group.add(sockPivot);
+
+  group.userData.flagPivot = flagPivot;
+  group.userData.sockPivot = sockPivot;
 
   // Ball/finial on top of pole
   const finialGeometry = new THREE.SphereGeometry(poleRadius * 2, 8, 6);
@@ -78,3 +119,26 @@ export function createFlag(config = {}) {
 export function positionFlag(flag, position) {
   flag.position.set(position.x, position.y, position.z);
 }
+
+// Turn pennant and windsock downwind
+// windVelocity: world-space wind (m/s), fullStrength: speed at which the sock stands straight out
+export function updateFlagWind(flag, windVelocity, fullStrength, time) {
+  const { flagPivot, sockPivot } = flag.userData;
+  if (!flagPivot || !sockPivot) return;
+
+  const speed = Math.hypot(windVelocity.x, windVelocity.z);
+  const strengthRatio = Math.min(speed / fullStrength, 1);
+
+  // Light flutter that grows with wind speed
+  const flutter = Math.sin(time * (3 + speed)) * 0.08 * strengthRatio;
+
+  // Local +X of a Y-rotated group points to (cos θ, 0, -sin θ)
+  if (speed > 0.01) {
+    const heading = Math.atan2(-windVelocity.z, windVelocity.x);
+    flagPivot.rotation.y = heading + flutter;
+    sockPivot.rotation.y = heading + flutter * 0.5;
+  }
+
+  // Sock hangs limp in calm air and lifts to horizontal at full strength
+  sockPivot.rotation.z = -(1 - strengthRatio) * Math.PI * 0.45;
+}
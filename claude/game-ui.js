@@ -2,7 +2,8 @@
 import { ENVELOPE_MAP, DIAL } from './config.js';
 
 // Create Game UI system
-export function createGameUI() {
+// signal: optional AbortSignal that removes the dial's window listeners
+export function createGameUI(signal) {
   // Create overlay container (centered on screen)
   const overlay = document.createElement('div');
   overlay.id = 'game-ui-overlay';
@@ -360,6 +361,7 @@ export function createGameUI() {
       this.friction = config.friction || 0.92;
       this.minVelocity = config.minVelocity || 0.5;
       this.maxVelocity = config.maxVelocity || 720;
+      this.signal = config.signal;
 
       // State
       this.dialAngle = 0;
@@ -378,12 +380,12 @@ export function createGameUI() {
 
     setupEvents() {
       this.canvas.addEventListener('mousedown', this.onDragStart.bind(this));
-      window.addEventListener('mousemove', this.onDragMove.bind(this));
-      window.addEventListener('mouseup', this.onDragEnd.bind(this));
+      window.addEventListener('mousemove', this.onDragMove.bind(this), { signal: this.signal });
+      window.addEventListener('mouseup', this.onDragEnd.bind(this), { signal: this.signal });
 
       this.canvas.addEventListener('touchstart', this.onDragStart.bind(this), { passive: false });
-      window.addEventListener('touchmove', this.onDragMove.bind(this), { passive: false });
-      window.addEventListener('touchend', this.onDragEnd.bind(this));
+      window.addEventListener('touchmove', this.onDragMove.bind(this), { passive: false, signal: this.signal });
+      window.addEventListener('touchend', this.onDragEnd.bind(this), { signal: this.signal });
     }
 
     getAngleFromEvent(event) {
@@ -638,7 +640,8 @@ export function createGameUI() {
         ratio: DIAL.ratio,
         friction: DIAL.friction,
         minVelocity: DIAL.minVelocity,
-        maxVelocity: DIAL.maxVelocity
+        maxVelocity: DIAL.maxVelocity,
+        signal
       });
 
       dialControl.onAdjust = (delta) => {
@@ -332,6 +332,98 @@ function createMoveMarkerModel() {
   return group;
 }
 
+// Binoculars model (inventory item, raised to the eyes for zoom)
+function createBinocularsModel() {
+  const group = new THREE.Group();
+  const rubberMat = new THREE.MeshStandardMaterial({ color: 0x2a3a2a, roughness: 0.9 });
+  const lensMat = new THREE.MeshStandardMaterial({
+    color: 0x3355aa,
+    roughness: 0.1,
+    metalness: 0.8
+  });
+
+  // Two barrels pointing away from the camera (-Z)
+  [-1, 1].forEach(side => {
+    const barrelGeom = new THREE.CylinderGeometry(0.013, 0.016, 0.06, 12);
+    const barrel = new THREE.Mesh(barrelGeom, rubberMat);
+    barrel.rotation.x = Math.PI / 2;
+    barrel.position.set(side * 0.021, 0, 0);
+    group.add(barrel);
+
+    // Objective lens at the far end
+    const lensGeom = new THREE.CircleGeometry(0.014, 16);
+    const lens = new THREE.Mesh(lensGeom, lensMat);
+    lens.position.set(side * 0.021, 0, -0.0305);
+    lens.rotation.y = Math.PI;
+    group.add(lens);
+
+    // Eyepiece at the near end
+    const eyepieceGeom = new THREE.CylinderGeometry(0.009, 0.009, 0.012, 12);
+    const eyepiece = new THREE.Mesh(eyepieceGeom, darkMetal);
+    eyepiece.rotation.x = Math.PI / 2;
+    eyepiece.position.set(side * 0.021, 0, 0.035);
+    group.add(eyepiece);
+  });
+
+  // Centre hinge and focus wheel
+  const hingeGeom = new THREE.BoxGeometry(0.016, 0.008, 0.04);
+  const hinge = new THREE.Mesh(hingeGeom, midMetal);
+  group.add(hinge);
+
+  const focusGeom = new THREE.CylinderGeometry(0.006, 0.006, 0.01, 12);
+  const focus = new THREE.Mesh(focusGeom, lightMetal);
+  focus.rotation.z = Math.PI / 2;
+  focus.position.set(0, 0.008, 0.012);
+  group.add(focus);
+
+  group.scale.setScalar(1.3);
+
+  // Base pose in the held slot; raising lifts it towards the eyes
+  group.userData.basePosition = new THREE.Vector3(0, 0, 0);
+  group.userData.raisedPosition = new THREE.Vector3(0, 0.1, 0.2);
+
+  return group;
+}
+
+// Folded course map (inventory item, opened in front of the face)
+function createMapModel() {
+  const group = new THREE.Group();
+  const paperMat = new THREE.MeshStandardMaterial({ color: 0xe8dcb8, roughness: 0.95, side: THREE.DoubleSide });
+  const greenMat = new THREE.MeshStandardMaterial({ color: 0x5a8c3a, roughness: 0.9 });
+  const routeMat = new THREE.MeshStandardMaterial({ color: 0xcc2222, roughness: 0.8 });
+
+  // Two panels folded slightly towards the camera along the centre crease
+  [-1, 1].forEach(side => {
+    const panel = new THREE.Group();
+    panel.rotation.y = side * 0.25;
+    group.add(panel);
+
+    const sheet = new THREE.Mesh(new THREE.PlaneGeometry(0.06, 0.08), paperMat);
+    sheet.position.x = side * 0.03;
+    panel.add(sheet);
+
+    // Printed fairway patch
+    const patch = new THREE.Mesh(new THREE.PlaneGeometry(0.035, 0.05), greenMat);
+    patch.position.set(side * 0.03, 0.004, 0.0005);
+    panel.add(patch);
+  });
+
+  // Marked line of play across the crease
+  const route = new THREE.Mesh(new THREE.BoxGeometry(0.004, 0.05, 0.001), routeMat);
+  route.rotation.z = 0.6;
+  route.position.z = 0.001;
+  group.add(route);
+
+  group.scale.setScalar(1.3);
+  group.rotation.x = -0.5; // Tilt the face up towards the camera
+
+  // Base pose in the held slot; raising lifts it into view
+  group.userData.basePosition = new THREE.Vector3(0, 0, 0);
+  group.userData.raisedPosition = new THREE.Vector3(0, 0.08, 0.15);
+
+  return group;
+}
+
 // Create all hand objects
 export function createHandObjects() {
   return {
@@ -339,7 +431,9 @@ export function createHandObjects() {
     'sphere': createSphereModel(),
     'wrench': createWrenchModel(),
     'button-box': createButtonBoxModel(),
-    'move-marker': createMoveMarkerModel()
+    'move-marker': createMoveMarkerModel(),
+    'binoculars': createBinocularsModel(),
+    'map': createMapModel()
   };
 }
 
@@ -329,6 +329,38 @@ export function createMobileControls() {
     setOnAction(callback) {
       onAction = callback;
     },
+    // Add an inventory item button to the stage bar (e.g. binoculars)
+    addItemButton(label, callback) {
+      const itemBtn = document.createElement('div');
+      itemBtn.className = 'mobile-item-btn';
+      itemBtn.textContent = label;
+      itemBtn.style.cssText = `
+        margin-left: 6px;
+        padding: 8px 10px;
+        border-radius: 8px;
+        background: rgba(100, 100, 100, 0.7);
+        border: 2px solid rgba(150, 150, 150, 0.8);
+        color: white;
+        font-family: monospace;
+        font-weight: bold;
+        font-size: 11px;
+        display: flex;
+        align-items: center;
+        justify-content: center;
+        touch-action: none;
+        user-select: none;
+      `;
+      itemBtn.addEventListener('touchstart', (e) => {
+        e.preventDefault();
+        itemBtn.style.background = 'rgba(150, 150, 150, 0.9)';
+        callback();
+      }, { passive: false });
+      itemBtn.addEventListener('touchend', () => {
+        itemBtn.style.background = 'rgba(100, 100, 100, 0.7)';
+      });
+      stageBar.appendChild(itemBtn);
+      return itemBtn;
+    },
     // Show/hide stage cycling arrows (hidden in Drone View, but keep action button)
     setStageCyclingVisible(visible) {
       const display = visible ? 'flex' : 'none';
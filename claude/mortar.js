@@ -225,12 +225,13 @@ export function createMortar(scene, config = {}) {
 
     legGroup.position.set(xOffset, -tubeRadius - 0.06 - bipodLegLength / 2, bipodAttachPoint);
     legGroup.rotation.z = side * legAngle;
+    legGroup.userData.foot = footDisc;
 
     return legGroup;
   }
 
-  elevatingGroup.add(createBipodLeg(-1));
-  elevatingGroup.add(createBipodLeg(1));
+  const bipodLegs = [createBipodLeg(-1), createBipodLeg(1)];
+  bipodLegs.forEach(leg => elevatingGroup.add(leg));
 
   // Elevating mechanism
   const elevMechGeometry = new THREE.BoxGeometry(0.08, 0.15, 0.06);
@@ -302,6 +303,14 @@ export function createMortar(scene, config = {}) {
     }
   });
 
+  // Ground contacts (local): baseplate centre and the bipod feet at the default elevation
+  mortar.updateMatrixWorld(true);
+  const footprint = [new THREE.Vector3(0, 0, 0)];
+  for (const leg of bipodLegs) {
+    const foot = mortar.worldToLocal(leg.userData.foot.getWorldPosition(new THREE.Vector3()));
+    footprint.push(foot.setY(0));
+  }
+
   return {
     group: mortar,
     traverseGroup,
@@ -314,6 +323,7 @@ export function createMortar(scene, config = {}) {
     tubeRadius,
     bipodLegLength,
     defaultElevation,
+    footprint,
     // Base values for animation
     tubeBaseZ: tube.position.z,
     traverseGroupBaseY: traverseGroup.position.y,
@@ -324,15 +334,13 @@ export function createMortar(scene, config = {}) {
 
 // ========== MORTAR CONTROLS ==========
 // Similar interface to howitzer controls
-
-export function createMortarControls(mortarData) {
+// config: MORTAR (see config.js) - elevation and traverse limits
+export function createMortarControls(mortarData, config) {
   let rotationDeg = 0;
-  let elevationDeg = mortarData.defaultElevation;
 
-  // Mortar has more limited traverse than howitzer
-  const minElevation = 45;  // Mortars are high-angle weapons
-  const maxElevation = 85;
-  const maxTraverse = 30;   // Limited traverse (±30°)
+  // Mortar is a high-angle weapon with more limited traverse than the howitzer
+  const { minElevation, maxElevation, maxTraverse } = config;
+  let elevationDeg = THREE.MathUtils.clamp(mortarData.defaultElevation, minElevation, maxElevation);
 
   function updateRotation() {
     mortarData.traverseGroup.rotation.y = THREE.MathUtils.degToRad(rotationDeg);
@@ -473,7 +481,8 @@ export function getMortarFiringDirection(mortarData) {
 }
 
 // Mortar weapon adapter for the projectile system
-export function createMortarAdapter(mortarData, firingAnim) {
+// config: MORTAR (see config.js) - reduced charge table
+export function createMortarAdapter(mortarData, firingAnim, config) {
   return {
     getMuzzlePosition() {
       const muzzleLocal = new THREE.Vector3(0, 0, mortarData.tubeLength + 0.3);
@@ -488,6 +497,15 @@ export function createMortarAdapter(mortarData, firingAnim) {
     getPosition() {
       return mortarData.group.position.clone();
     },
+    // Muzzle-loaded: the shell is dropped down the tube
+    loadEnd: 'muzzle',
+    getLoadPoint() {
+      const muzzleLocal = new THREE.Vector3(0, 0, mortarData.tubeLength + 0.3);
+      mortarData.elevatingGroup.localToWorld(muzzleLocal);
+      return muzzleLocal;
+    },
+    getLoadedBall: () => mortarData.loadedBall,
+    chargeTable: config.charge,
     setPosition(pos) {
       mortarData.group.position.set(pos.x, pos.y, pos.z);
     },
@@ -1,7 +1,16 @@
-// Projectile system - physics, smoke trails, ball management
+// Projectile system - fired balls, smoke trails and shot events (rules in ball-physics.js)
 // Weapon-agnostic: works with any weapon that implements the adapter interface
 import * as THREE from 'three';
-import { SHOT_PROFILE, PROJECTILE } from './config.js';
+import { PROJECTILE, LIE } from './config.js';
+import {
+  getShotProfile, getLaunchVelocity, createBall, isBallMoving, recordTrack, createBallStepper,
+  getGroundMaterial, getHoleDistance
+} from './ball-physics.js';
+
+// Headless helpers, re-exported for callers of the projectile system
+export { getShotProfile, simulateShot } from './ball-physics.js';
+
+const ballRadius = PROJECTILE.radius;
 
 // Create smoke particle texture
 function createSmokeTexture() {
@@ -22,24 +31,16 @@ function createSmokeTexture() {
   return tex;
 }
 
-// Reflect velocity off surface with restitution and friction
-function reflectVelocity(velocity, normal, restitution, friction) {
-  const vDotN = velocity.dot(normal);
-  const normalComponent = normal.clone().multiplyScalar(vDotN);
-  const tangentComponent = velocity.clone().sub(normalComponent);
-
-  const reflectedNormal = normalComponent.multiplyScalar(-restitution);
-  const reflectedTangent = tangentComponent.multiplyScalar(1 - friction);
-
-  return reflectedNormal.add(reflectedTangent);
-}
-
 /**
  * Weapon adapter interface (duck-typed):
  * {
  *   getMuzzlePosition()     → THREE.Vector3 (world coords)
  *   getFiringDirection()    → THREE.Vector3 (normalized, world coords)
  *   getPosition()           → THREE.Vector3 (weapon world position)
+ *   loadEnd                 'breech' | 'muzzle' (where the shell goes in)
+ *   getLoadPoint()          → THREE.Vector3 (world coords of the loading opening)
+ *   getLoadedBall()         → THREE.Mesh (seated ball shown while loaded)
+ *   chargeTable             Optional charge multipliers (defaults to SHOT_PROFILE.charge)
  *   setPosition(pos)        Move weapon to {x, y, z}
  *   showLoadedBall(visible) Show/hide loaded ball mesh
  *   triggerFire()           Start firing animation + muzzle flash
@@ -52,8 +53,6 @@ export function createProjectileSystem(scene, initialWeaponAdapter, terrain = nu
   let weaponAdapter = initialWeaponAdapter;
   const projectiles = [];
   const smokeParticles = [];
-  const gravity = new THREE.Vector3(0, -9.81, 0);
-  const ballRadius = 0.15;
   const geometry = new THREE.SphereGeometry(ballRadius, 16, 16);
   const material = new THREE.MeshStandardMaterial({
     color: 0xffffff,
@@ -64,23 +63,16 @@ export function createProjectileSystem(scene, initialWeaponAdapter, terrain = nu
   // Cannon loaded state
   let isLoaded = false;
   let onBallStabilizedCallback = null;
+  let onHoleResultCallback = null;
+  let onWaterHazardCallback = null;
+  let onOutOfBoundsCallback = null;
   let lastShotSelections = null;
+  // Replay samples of the last fired shot (kept after the ball is cleared)
+  let lastTrack = null;
 
-  // Helper: get ground height at position (uses terrain if available)
-  function getGroundHeight(x, z) {
-    if (terrain && terrain.getHeightAt) {
-      return terrain.getHeightAt(x, z);
-    }
-    return 0;
-  }
-
-  // Helper: get ground normal at position
-  function getGroundNormal(x, z) {
-    if (terrain && terrain.getNormalAt) {
-      return terrain.getNormalAt(x, z);
-    }
-    return new THREE.Vector3(0, 1, 0);
-  }
+  // Physics runs in fixed steps (wind gusts included); meshes are drawn between the last two steps
+  const env = { terrain, holeTarget: null, windVelocity: null, trees: null };
+  const stepper = createBallStepper(env);
 
   // Smoke trail settings
   const smokeTexture = createSmokeTexture();
@@ -93,96 +85,81 @@ export function createProjectileSystem(scene, initialWeaponAdapter, terrain = nu
     drift: 0.5
   };
 
-  // Build shot profile from UI selections
-  function getShotProfile(selections) {
-    const chargeMult = SHOT_PROFILE.charge[selections.charge] || 1.0;
-    const kick = SHOT_PROFILE.kick[selections.kick] || SHOT_PROFILE.kick.full;
-    const airDragK = SHOT_PROFILE.hang[selections.hang] || SHOT_PROFILE.hang.carry;
-    const breakProfile = SHOT_PROFILE.break[selections.break] || SHOT_PROFILE.break.roll;
-
-    const speed = SHOT_PROFILE.baseSpeed * chargeMult * kick.speedMult;
-
-    // Charge coupling: modulate restitution slightly
-    let restitution = breakProfile.restitution;
-    if (selections.charge === 'heavy') restitution += SHOT_PROFILE.chargeCoupling.heavy;
-    if (selections.charge === 'light') restitution += SHOT_PROFILE.chargeCoupling.light;
+  // Water splash (same sprites, fast and bright)
+  const splashConfig = {
+    lifetime: 1.2,
+    startSize: 0.4,
+    endSize: 2.0,
+    startOpacity: 0.85,
+    drift: 3.0,
+    rise: 2.0,
+    color: 0xcce6ff
+  };
 
-    return {
-      speed,
-      kickPitch: kick.pitch,
-      airDragK,
-      restitution: Math.max(0, Math.min(restitution, 0.95)),
-      friction: breakProfile.friction,
-      rollMult: breakProfile.rollMult,
-      mass: SHOT_PROFILE.fixedMass
-    };
+  // Surface under the weapon and its shot modifiers (see LIE)
+  function getLie() {
+    const position = weaponAdapter.getPosition();
+    const material = getGroundMaterial(terrain, position.x, position.z);
+    return { material, ...(LIE[material] || LIE.fairway) };
   }
 
-  function createSmokeParticle(position) {
+  // config: smokeConfig (trail) or splashConfig
+  function createSmokeParticle(position, config = smokeConfig) {
     const smokeMaterial = new THREE.SpriteMaterial({
       map: smokeTexture,
+      color: config.color !== undefined ? config.color : 0xffffff,
       transparent: true,
-      opacity: smokeConfig.startOpacity,
+      opacity: config.startOpacity,
       depthWrite: false
     });
     const smoke = new THREE.Sprite(smokeMaterial);
     smoke.position.copy(position);
-    smoke.scale.setScalar(smokeConfig.startSize);
+    smoke.scale.setScalar(config.startSize);
     scene.add(smoke);
 
     return {
       sprite: smoke,
       age: 0,
+      config,
       drift: new THREE.Vector3(
-        (Math.random() - 0.5) * smokeConfig.drift,
-        Math.random() * smokeConfig.drift * 0.5,
-        (Math.random() - 0.5) * smokeConfig.drift
+        (Math.random() - 0.5) * config.drift,
+        Math.random() * config.drift * 0.5 + (config.rise || 0),
+        (Math.random() - 0.5) * config.drift
       )
     };
   }
 
-  function fire(shotSelections) {
+  // options.speedScale: muzzle speed multiplier from how the weapon was fired (e.g. lanyard pull)
+  function fire(shotSelections, options = {}) {
     if (!isLoaded) {
       return false;
     }
 
     // Build shot profile from selections
     const selections = shotSelections || { charge: 'standard', kick: 'full', hang: 'carry', break: 'roll' };
-    const profile = getShotProfile(selections);
+    const profile = getShotProfile(selections, getLie(), weaponAdapter.chargeTable);
+    if (options.speedScale !== undefined) {
+      profile.speed *= options.speedScale;
+    }
     lastShotSelections = selections;
 
-    const projectile = new THREE.Mesh(geometry, material);
-    projectile.castShadow = true;
-
     // Get muzzle position and direction from weapon adapter
     const muzzleWorld = weaponAdapter.getMuzzlePosition();
-    projectile.position.copy(muzzleWorld);
-    scene.add(projectile);
-
-    // Apply kick pitch bias to direction
-    const direction = weaponAdapter.getFiringDirection();
-    if (profile.kickPitch !== 0) {
-      const up = new THREE.Vector3(0, 1, 0);
-      direction.addScaledVector(up, profile.kickPitch);
-      direction.normalize();
-    }
+    const velocity = getLaunchVelocity(weaponAdapter.getFiringDirection(), profile);
+
+    const mesh = new THREE.Mesh(geometry, material);
+    mesh.castShadow = true;
+    mesh.position.copy(muzzleWorld);
+    scene.add(mesh);
 
+    const ball = createBall(muzzleWorld, velocity, profile, weaponAdapter.getPosition());
+    recordTrack(ball, 0);
+    lastTrack = ball.track;
     projectiles.push({
-      mesh: projectile,
-      velocity: direction.multiplyScalar(profile.speed),
-      mass: profile.mass,
-      shot: {
-        airDragK: profile.airDragK,
-        restitution: profile.restitution,
-        friction: profile.friction,
-        rollMult: profile.rollMult
-      },
+      ...ball,
+      mesh,
       smokeTimer: 0,
-      state: 'flying',
-      bounceCount: 0,
-      slowRollTime: 0,
-      notifiedStabilized: false,
-      launchPosition: muzzleWorld.clone()
+      sinkTime: 0
     });
 
     // Unload and trigger firing animation via adapter
@@ -193,137 +170,94 @@ export function createProjectileSystem(scene, initialWeaponAdapter, terrain = nu
     return true;
   }
 
-  function update(dt) {
-    // Update projectiles with physics
-    for (let i = projectiles.length - 1; i >= 0; i--) {
-      const proj = projectiles[i];
+  // Report a ball that came to rest close to the hole
+  function checkNearHole(proj) {
+    const distance = getHoleDistance(env.holeTarget, proj.position);
+    if (distance !== null && distance <= env.holeTarget.nearRadius && onHoleResultCallback) {
+      onHoleResultCallback({ type: 'near', distance, projectile: proj });
+    }
+  }
 
-      if (proj.state === 'stopped') {
-        continue;
+  // Visuals and callbacks for the event that ended a shot
+  function handleBallEvent(proj, event) {
+    if (event === 'holed') {
+      if (onHoleResultCallback) {
+        onHoleResultCallback({ type: 'holed', distance: 0, projectile: proj });
+      }
+    } else if (event === 'water') {
+      // Splash, sink, and report where to drop
+      proj.mesh.position.copy(proj.position);
+      for (let i = 0; i < PROJECTILE.splashParticles; i++) {
+        smokeParticles.push(createSmokeParticle(proj.position, splashConfig));
+      }
+      if (onWaterHazardCallback) {
+        onWaterHazardCallback({ projectile: proj, dropPosition: proj.lastDryPosition.clone() });
+      }
+    } else if (event === 'out') {
+      proj.mesh.visible = false;
+      if (onOutOfBoundsCallback) {
+        onOutOfBoundsCallback({
+          projectile: proj,
+          exitPosition: proj.position.clone(),
+          shotPosition: proj.shotPosition.clone()
+        });
       }
+    } else if (event === 'stopped') {
+      if (onBallStabilizedCallback) onBallStabilizedCallback(proj);
+      checkNearHole(proj);
+    }
+  }
+
+  // Sunk ball slides under the surface, then disappears
+  function updateSinking(proj, dt) {
+    if (!proj.mesh.visible) return;
+    proj.sinkTime += dt;
+    proj.mesh.position.y -= PROJECTILE.sinkSpeed * dt;
+    if (proj.sinkTime >= PROJECTILE.sinkDuration) {
+      proj.mesh.visible = false;
+    }
+  }
+
+  // Place the mesh between the last two physics steps (alpha: 0..1 through the next step)
+  function syncMesh(proj, alpha, dt) {
+    if (proj.state === 'sunk') {
+      updateSinking(proj, dt);
+      return;
+    }
 
-      if (proj.state === 'flying' || proj.state === 'bouncing') {
-        // Apply gravity
-        proj.velocity.addScaledVector(gravity, dt);
-
-        // Apply air drag (Hang profile)
-        if (proj.shot && proj.shot.airDragK > 0) {
-          proj.velocity.multiplyScalar(Math.exp(-proj.shot.airDragK * dt));
-        }
-
-        proj.mesh.position.addScaledVector(proj.velocity, dt);
-
-        // Spawn smoke particles (only while in the air and moving fast)
-        if (proj.velocity.length() > 5) {
-          proj.smokeTimer += dt;
-          if (proj.smokeTimer >= smokeConfig.spawnRate) {
-            proj.smokeTimer = 0;
-            smokeParticles.push(createSmokeParticle(proj.mesh.position));
-          }
-        }
-
-        // Get terrain height at ball position
-        const groundHeight = getGroundHeight(proj.mesh.position.x, proj.mesh.position.z);
-        const floorHeight = groundHeight + ballRadius;
-
-        // Check terrain collision
-        if (proj.mesh.position.y <= floorHeight) {
-          proj.mesh.position.y = floorHeight;
-
-          const normal = getGroundNormal(proj.mesh.position.x, proj.mesh.position.z);
-          const impactSpeed = Math.abs(proj.velocity.dot(normal));
-
-          if (impactSpeed < PROJECTILE.minBounceVelocity) {
-            proj.state = 'rolling';
-            const vDotN = proj.velocity.dot(normal);
-            if (vDotN < 0) {
-              proj.velocity.sub(normal.clone().multiplyScalar(vDotN));
-            }
-          } else {
-            proj.state = 'bouncing';
-            proj.bounceCount++;
-
-            // Use per-shot restitution/friction (Break profile)
-            const shotRestitution = proj.shot ? proj.shot.restitution : 0.30;
-            const shotFriction = proj.shot ? proj.shot.friction : 0.35;
-            const speedFactor = Math.max(0.8, 1 - impactSpeed * 0.005);
-            const restitution = Math.min(shotRestitution * speedFactor, 0.95);
-
-            proj.velocity.copy(
-              reflectVelocity(proj.velocity, normal, restitution, shotFriction)
-            );
-          }
-        }
+    const previous = proj.mesh.position.clone();
+    proj.mesh.position.lerpVectors(proj.previousPosition, proj.position, alpha);
+
+    // Visual roll rotation
+    if (proj.state === 'rolling') {
+      const rollDistance = Math.hypot(proj.mesh.position.x - previous.x, proj.mesh.position.z - previous.z);
+      const rollAxis = new THREE.Vector3(-proj.velocity.z, 0, proj.velocity.x);
+      if (rollDistance > 0 && rollAxis.lengthSq() > 0.001) {
+        proj.mesh.rotateOnWorldAxis(rollAxis.normalize(), rollDistance / ballRadius);
       }
+    }
 
-      if (proj.state === 'rolling') {
-        const groundHeight = getGroundHeight(proj.mesh.position.x, proj.mesh.position.z);
-        const normal = getGroundNormal(proj.mesh.position.x, proj.mesh.position.z);
-
-        proj.mesh.position.y = groundHeight + ballRadius;
-
-        // Slope acceleration
-        const gravityDotNormal = gravity.dot(normal);
-        const slopeAccel = gravity.clone().sub(normal.clone().multiplyScalar(gravityDotNormal));
-        proj.velocity.addScaledVector(slopeAccel, dt);
-
-        // Remove velocity into ground
-        const vDotN = proj.velocity.dot(normal);
-        if (vDotN < 0) {
-          proj.velocity.sub(normal.clone().multiplyScalar(vDotN));
-        }
-
-        const speed = proj.velocity.length();
-        const slopeSteepness = 1 - normal.y;
-        const extraFriction = slopeSteepness * PROJECTILE.slopeFriction;
-
-        // Track slow rolling
-        if (speed < PROJECTILE.slowRollSpeed) {
-          proj.slowRollTime += dt;
-        } else {
-          proj.slowRollTime = 0;
-        }
-
-        const forceStop = proj.slowRollTime >= PROJECTILE.maxSlowRollTime;
-
-        if (speed < PROJECTILE.minRollVelocity || forceStop) {
-          if (forceStop || slopeAccel.length() < PROJECTILE.minRollVelocity * 2) {
-            proj.state = 'stopped';
-            proj.velocity.set(0, 0, 0);
-
-            if (!proj.notifiedStabilized && onBallStabilizedCallback) {
-              proj.notifiedStabilized = true;
-              onBallStabilizedCallback(proj);
-            }
-          }
-        } else {
-          // Apply rolling friction (modulated by Break profile rollMult)
-          const rollMult = proj.shot ? proj.shot.rollMult : 1.0;
-          const totalFriction = (PROJECTILE.rollingFriction * rollMult + extraFriction) * dt;
-          const newSpeed = Math.max(0, speed - totalFriction);
-          const scale = speed > 0 ? newSpeed / speed : 0;
-          proj.velocity.multiplyScalar(scale);
-
-          proj.mesh.position.addScaledVector(proj.velocity, dt);
-
-          // Re-adjust Y to terrain
-          const newGroundHeight = getGroundHeight(proj.mesh.position.x, proj.mesh.position.z);
-          proj.mesh.position.y = newGroundHeight + ballRadius;
-
-          // Visual roll rotation
-          const rollDistance = speed * dt;
-          const rollAngle = rollDistance / ballRadius;
-          if (speed > 0.01) {
-            const rollAxis = new THREE.Vector3(-proj.velocity.z, 0, proj.velocity.x).normalize();
-            if (rollAxis.lengthSq() > 0.001) {
-              proj.mesh.rotateOnWorldAxis(rollAxis, rollAngle);
-            }
-          }
-        }
+    // Spawn smoke particles (only while in the air and moving fast)
+    if ((proj.state === 'flying' || proj.state === 'bouncing') && proj.velocity.length() > 5) {
+      proj.smokeTimer += dt;
+      if (proj.smokeTimer >= smokeConfig.spawnRate) {
+        proj.smokeTimer = 0;
+        smokeParticles.push(createSmokeParticle(proj.mesh.position));
       }
+    }
+  }
+
+  function update(dt) {
+    // Fixed physics steps for the time that has built up
+    const alpha = stepper.advance(projectiles, dt, handleBallEvent);
+
+    // Render projectiles between steps
+    for (let i = projectiles.length - 1; i >= 0; i--) {
+      const proj = projectiles[i];
+      syncMesh(proj, alpha, dt);
 
       // Remove projectile if too far out of bounds
-      if (proj.mesh.position.length() > 1000) {
+      if (proj.position.length() > 1000) {
         scene.remove(proj.mesh);
         projectiles.splice(i, 1);
       }
@@ -334,17 +268,19 @@ export function createProjectileSystem(scene, initialWeaponAdapter, terrain = nu
       const smoke = smokeParticles[i];
       smoke.age += dt;
 
-      if (smoke.age >= smokeConfig.lifetime) {
+      const config = smoke.config;
+
+      if (smoke.age >= config.lifetime) {
         scene.remove(smoke.sprite);
         smoke.sprite.material.dispose();
         smokeParticles.splice(i, 1);
       } else {
-        const lifeRatio = smoke.age / smokeConfig.lifetime;
+        const lifeRatio = smoke.age / config.lifetime;
         smoke.sprite.position.addScaledVector(smoke.drift, dt);
 
-        const size = smokeConfig.startSize + (smokeConfig.endSize - smokeConfig.startSize) * lifeRatio;
+        const size = config.startSize + (config.endSize - config.startSize) * lifeRatio;
         smoke.sprite.scale.setScalar(size);
-        smoke.sprite.material.opacity = smokeConfig.startOpacity * (1 - lifeRatio);
+        smoke.sprite.material.opacity = config.startOpacity * (1 - lifeRatio);
       }
     }
   }
@@ -365,15 +301,60 @@ export function createProjectileSystem(scene, initialWeaponAdapter, terrain = nu
     },
     isBallAvailable() {
       if (isLoaded) return false;
-      const hasActiveProjectile = projectiles.some(p => p.state !== 'stopped');
-      return !hasActiveProjectile;
+      return !projectiles.some(isBallMoving);
     },
     onBallStabilized(callback) {
       onBallStabilizedCallback = callback;
     },
+    // Callback receives { type: 'holed' | 'near', distance, projectile }
+    onHoleResult(callback) {
+      onHoleResultCallback = callback;
+    },
+    // Callback receives { projectile, dropPosition } when a ball goes into water
+    onWaterHazard(callback) {
+      onWaterHazardCallback = callback;
+    },
+    // Callback receives { projectile, exitPosition, shotPosition } when a ball leaves the terrain
+    onOutOfBounds(callback) {
+      onOutOfBoundsCallback = callback;
+    },
+    // Set the cup the ball can drop into (radii in world units)
+    setHoleTarget(position, radii) {
+      env.holeTarget = {
+        position: new THREE.Vector3(position.x, position.y, position.z),
+        holeRadius: radii.holeRadius,
+        nearRadius: radii.nearRadius
+      };
+    },
+    // Wind advanced with the physics steps and sampled while the ball is flying or bouncing (null = calm)
+    setWind(windSource) {
+      stepper.setWind(windSource);
+    },
+    // Tree colliders the ball can hit (see trees.js, null = open ground)
+    setTrees(colliders) {
+      env.trees = colliders;
+    },
+    // Recorded path of the current/last shot (array of Vector3, null before the first shot)
+    getLastPath() {
+      if (projectiles.length === 0) return null;
+      return projectiles[projectiles.length - 1].path;
+    },
+    // Timestamped samples of the last fired shot ({ t, position, velocity, state }), null before the first shot
+    getLastTrack() {
+      return lastTrack;
+    },
     getLastShotSelections() {
       return lastShotSelections;
     },
+    getLie,
+    // Launch the loaded weapon would fire with these selections and the current lie (aim previews)
+    getShotSetup(selections) {
+      return {
+        muzzlePosition: weaponAdapter.getMuzzlePosition(),
+        direction: weaponAdapter.getFiringDirection(),
+        profile: getShotProfile(selections, getLie(), weaponAdapter.chargeTable)
+      };
+    },
     getWeaponPosition() {
       return weaponAdapter.getPosition();
     },
@@ -381,14 +362,13 @@ export function createProjectileSystem(scene, initialWeaponAdapter, terrain = nu
       if (projectiles.length === 0) return null;
       const proj = projectiles[projectiles.length - 1];
       if (!proj.launchPosition) return null;
-      const dx = proj.mesh.position.x - proj.launchPosition.x;
-      const dz = proj.mesh.position.z - proj.launchPosition.z;
+      const dx = proj.position.x - proj.launchPosition.x;
+      const dz = proj.position.z - proj.launchPosition.z;
       return Math.sqrt(dx * dx + dz * dz);
     },
     getBallPosition() {
       if (projectiles.length === 0) return null;
-      const proj = projectiles[projectiles.length - 1];
-      return proj.mesh.position.clone();
+      return projectiles[projectiles.length - 1].position.clone();
     },
     isBallStabilized() {
       if (projectiles.length === 0) return false;
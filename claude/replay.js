@@ -0,0 +1,332 @@
+// Replay module - plays back a recorded shot with chase, side-on and landing cameras
+import * as THREE from 'three';
+import { PROJECTILE } from './config.js';
+
+const CAMERA_MODES = ['chase', 'side', 'landing'];
+const CAMERA_LABELS = { chase: 'Chase', side: 'Side', landing: 'Landing' };
+
+// Create replay system
+// config: REPLAY (see config.js); terrain is optional (keeps cameras above the ground)
+export function createReplaySystem(camera, scene, config, terrain = null) {
+  const state = {
+    track: null,
+    time: 0,
+    duration: 0,
+    paused: false,
+    modeIndex: 0,
+    snapCamera: true,
+    onClose: null
+  };
+
+  // Player camera to restore afterwards
+  const savedPosition = new THREE.Vector3();
+  const savedQuaternion = new THREE.Quaternion();
+
+  // ===== Ghost ball and trail =====
+  const ghost = new THREE.Mesh(
+    new THREE.SphereGeometry(PROJECTILE.radius, 16, 16),
+    new THREE.MeshStandardMaterial({ color: 0xffffff, roughness: 0.2, metalness: 0.1 })
+  );
+  ghost.visible = false;
+  scene.add(ghost);
+
+  const trailPositions = new Float32Array(PROJECTILE.maxTrackSamples * 3);
+  const trailGeometry = new THREE.BufferGeometry();
+  trailGeometry.setAttribute('position', new THREE.BufferAttribute(trailPositions, 3));
+  trailGeometry.setDrawRange(0, 0);
+  const trail = new THREE.Line(trailGeometry, new THREE.LineBasicMaterial({
+    color: config.trailColor,
+    transparent: true,
+    opacity: 0.8
+  }));
+  trail.frustumCulled = false;
+  trail.visible = false;
+  scene.add(trail);
+
+  // ===== Overlay: camera mode, play/pause, scrub bar, close =====
+  const overlay = document.createElement('div');
+  overlay.id = 'replay-overlay';
+  overlay.style.cssText = `
+    position: fixed;
+    left: 50%;
+    bottom: 24px;
+    transform: translateX(-50%);
+    padding: 10px 14px;
+    border-radius: 8px;
+    background: rgba(0, 0, 0, 0.75);
+    border: 1px solid rgba(255, 255, 255, 0.2);
+    color: #fff;
+    font-family: monospace;
+    font-size: 13px;
+    display: none;
+    z-index: 600;
+    text-align: center;
+  `;
+  overlay.innerHTML = `
+    <div class="replay-row">
+      <span class="replay-title">REPLAY</span>
+      <button class="replay-btn replay-camera"></button>
+      <button class="replay-btn replay-play"></button>
+      <input class="replay-scrub" type="range" min="0" max="1000" value="0" />
+      <span class="replay-time">0.0s</span>
+      <button class="replay-btn replay-close">✕</button>
+    </div>
+    <div class="replay-hint">Space pause · ←/→ scrub · C camera · R/Esc close</div>
+  `;
+  document.body.appendChild(overlay);
+
+  const style = document.createElement('style');
+  style.textContent = `
+    #replay-overlay .replay-row {
+      display: flex;
+      align-items: center;
+      gap: 8px;
+    }
+    #replay-overlay .replay-title {
+      color: #f64;
+      font-weight: bold;
+    }
+    #replay-overlay .replay-btn {
+      min-width: 32px;
+      padding: 4px 8px;
+      border: 1px solid rgba(255, 255, 255, 0.3);
+      background: rgba(255, 255, 255, 0.1);
+      color: #fff;
+      font-family: monospace;
+      border-radius: 4px;
+      cursor: pointer;
+    }
+    #replay-overlay .replay-btn:hover {
+      background: rgba(255, 255, 255, 0.2);
+    }
+    #replay-overlay .replay-scrub {
+      width: min(40vw, 320px);
+    }
+    #replay-overlay .replay-time {
+      min-width: 48px;
+      color: rgba(255, 255, 255, 0.7);
+    }
+    #replay-overlay .replay-hint {
+      margin-top: 6px;
+      font-size: 11px;
+      color: rgba(255, 255, 255, 0.4);
+    }
+  `;
+  document.head.appendChild(style);
+
+  const cameraBtn = overlay.querySelector('.replay-camera');
+  const playBtn = overlay.querySelector('.replay-play');
+  const scrubInput = overlay.querySelector('.replay-scrub');
+  const timeEl = overlay.querySelector('.replay-time');
+
+  cameraBtn.addEventListener('click', () => cycleCamera());
+  playBtn.addEventListener('click', () => togglePause());
+  overlay.querySelector('.replay-close').addEventListener('click', () => stop());
+  scrubInput.addEventListener('input', () => {
+    state.paused = true;
+    setTime((scrubInput.value / 1000) * state.duration);
+  });
+
+  function updateControls() {
+    cameraBtn.textContent = CAMERA_LABELS[CAMERA_MODES[state.modeIndex]];
+    playBtn.textContent = state.paused ? '▶' : '❚❚';
+    scrubInput.value = state.duration > 0 ? Math.round((state.time / state.duration) * 1000) : 0;
+    timeEl.textContent = `${state.time.toFixed(1)}s`;
+  }
+
+  // ===== Track sampling =====
+  const sample = { position: new THREE.Vector3(), velocity: new THREE.Vector3(), state: 'flying' };
+
+  // Last sample at or before time (binary search)
+  function findSampleIndex(time) {
+    const track = state.track;
+    let low = 0;
+    let high = track.length - 1;
+    while (low < high) {
+      const mid = Math.ceil((low + high) / 2);
+      if (track[mid].t <= time) low = mid; else high = mid - 1;
+    }
+    return low;
+  }
+
+  // Ball position/velocity at a replay time, interpolated between samples
+  function sampleAt(time) {
+    const track = state.track;
+    const index = findSampleIndex(time);
+    const a = track[index];
+    const b = track[Math.min(index + 1, track.length - 1)];
+    const span = b.t - a.t;
+    const blend = span > 0 ? THREE.MathUtils.clamp((time - a.t) / span, 0, 1) : 0;
+    sample.position.lerpVectors(a.position, b.position, blend);
+    sample.velocity.lerpVectors(a.velocity, b.velocity, blend);
+    sample.state = a.state;
+    return index;
+  }
+
+  function updateTrail(index) {
+    const count = index + 1;
+    for (let i = 0; i < count; i++) {
+      const position = i === index ? sample.position : state.track[i].position;
+      trailPositions[i * 3] = position.x;
+      trailPositions[i * 3 + 1] = position.y;
+      trailPositions[i * 3 + 2] = position.z;
+    }
+    trailGeometry.attributes.position.needsUpdate = true;
+    trailGeometry.setDrawRange(0, count);
+  }
+
+  // ===== Cameras =====
+  const cameraTarget = new THREE.Vector3();
+  const flightDirection = new THREE.Vector3();
+  const chaseDirection = new THREE.Vector3(0, 0, 1);
+  const sideOffset = new THREE.Vector3();
+
+  // Horizontal direction from the launch to the resting point
+  function computeFlightDirection() {
+    const first = state.track[0].position;
+    const last = state.track[state.track.length - 1].position;
+    flightDirection.set(last.x - first.x, 0, last.z - first.z);
+    if (flightDirection.lengthSq() < 1e-6) flightDirection.set(0, 0, 1);
+    flightDirection.normalize();
+    chaseDirection.copy(flightDirection);
+  }
+
+  function keepAboveGround(position) {
+    if (!terrain) return;
+    const floor = terrain.getHeightAt(position.x, position.z) + config.minCameraClearance;
+    if (position.y < floor) position.y = floor;
+  }
+
+  function placeCamera(dt) {
+    const ball = sample.position;
+    const mode = CAMERA_MODES[state.modeIndex];
+
+    if (mode === 'chase') {
+      // Behind the ball along its ground track (holds the last heading once it stops)
+      if (sample.velocity.x * sample.velocity.x + sample.velocity.z * sample.velocity.z > 0.25) {
+        chaseDirection.set(sample.velocity.x, 0, sample.velocity.z).normalize();
+      }
+      cameraTarget.copy(ball).addScaledVector(chaseDirection, -config.chaseDistance);
+      cameraTarget.y += config.chaseHeight;
+    } else if (mode === 'side') {
+      // Broadside to the line of flight, keeping pace with the ball
+      sideOffset.set(flightDirection.z, 0, -flightDirection.x).multiplyScalar(config.sideDistance);
+      cameraTarget.copy(ball).add(sideOffset);
+      cameraTarget.y += config.sideHeight;
+    } else {
+      // Fixed over the landing zone, looking back at the incoming ball
+      const rest = state.track[state.track.length - 1].position;
+      cameraTarget.copy(rest).addScaledVector(flightDirection, -config.landingDistance);
+      cameraTarget.y += config.landingHeight;
+    }
+    keepAboveGround(cameraTarget);
+
+    if (state.snapCamera) {
+      camera.position.copy(cameraTarget);
+      state.snapCamera = false;
+    } else {
+      camera.position.lerp(cameraTarget, 1 - Math.exp(-config.cameraSmoothing * dt));
+    }
+    keepAboveGround(camera.position);
+    camera.lookAt(ball);
+  }
+
+  // ===== Playback =====
+  function setTime(time) {
+    state.time = THREE.MathUtils.clamp(time, 0, state.duration);
+    state.snapCamera = true;
+    updateControls();
+  }
+
+  function togglePause() {
+    if (!state.track) return;
+    // Play again from the start after reaching the end
+    if (state.paused && state.time >= state.duration) setTime(0);
+    state.paused = !state.paused;
+    updateControls();
+  }
+
+  function scrub(direction) {
+    if (!state.track) return;
+    state.paused = true;
+    setTime(state.time + direction * config.scrubStep);
+  }
+
+  function cycleCamera() {
+    if (!state.track) return;
+    state.modeIndex = (state.modeIndex + 1) % CAMERA_MODES.length;
+    state.snapCamera = true;
+    updateControls();
+  }
+
+  // track: samples from projectileSystem.getLastTrack(); onClose runs when the replay is closed
+  // Returns false if there is no finished shot to play
+  function start(track, onClose = null) {
+    if (!track || track.length < 2) return false;
+    const finalState = track[track.length - 1].state;
+    if (finalState === 'flying' || finalState === 'bouncing' || finalState === 'rolling') return false;
+
+    state.track = track;
+    state.duration = track[track.length - 1].t;
+    state.time = 0;
+    state.paused = false;
+    state.snapCamera = true;
+    state.onClose = onClose;
+    computeFlightDirection();
+
+    savedPosition.copy(camera.position);
+    savedQuaternion.copy(camera.quaternion);
+
+    ghost.visible = true;
+    trail.visible = true;
+    overlay.style.display = 'block';
+    updateControls();
+    return true;
+  }
+
+  function stop() {
+    if (!state.track) return;
+    state.track = null;
+
+    camera.position.copy(savedPosition);
+    camera.quaternion.copy(savedQuaternion);
+
+    ghost.visible = false;
+    trail.visible = false;
+    overlay.style.display = 'none';
+
+    const callback = state.onClose;
+    state.onClose = null;
+    if (callback) callback();
+  }
+
+  function update(dt) {
+    if (!state.track) return;
+
+    if (!state.paused) {
+      state.time += dt * config.playbackSpeed;
+      // Hold on the last frame (scrub back or play again)
+      if (state.time >= state.duration) {
+        state.time = state.duration;
+        state.paused = true;
+      }
+      updateControls();
+    }
+
+    const index = sampleAt(state.time);
+    ghost.position.copy(sample.position);
+    ghost.visible = sample.state !== 'out';
+    updateTrail(index);
+    placeCamera(dt);
+  }
+
+  return {
+    start,
+    stop,
+    update,
+    togglePause,
+    scrub,
+    cycleCamera,
+    isActive: () => state.track !== null
+  };
+}
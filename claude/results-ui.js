@@ -0,0 +1,228 @@
+// Results UI - hole completion overlay, final scorecard and transient HUD notices
+import { formatToPar, getScoreName } from './scorecard.js';
+
+// Create Results UI system
+export function createResultsUI() {
+  // Full-screen dimmed overlay (above game UI, below screen fade)
+  const overlay = document.createElement('div');
+  overlay.id = 'results-overlay';
+  overlay.style.cssText = `
+    position: fixed;
+    top: 0;
+    left: 0;
+    width: 100%;
+    height: 100%;
+    display: none;
+    align-items: center;
+    justify-content: center;
+    background: rgba(0, 0, 0, 0.45);
+    z-index: 800;
+  `;
+  document.body.appendChild(overlay);
+
+  const panel = document.createElement('div');
+  panel.id = 'results-panel';
+  panel.style.cssText = `
+    padding: 20px 30px;
+    border-radius: 12px;
+    background: rgba(0, 0, 0, 0.85);
+    border: 2px solid rgba(255, 255, 255, 0.3);
+    color: #fff;
+    font-family: monospace;
+    font-size: 14px;
+    text-align: center;
+    min-width: 240px;
+  `;
+  overlay.appendChild(panel);
+
+  // HUD notice (short message near the top of the screen)
+  const notice = document.createElement('div');
+  notice.id = 'hud-notice';
+  notice.style.cssText = `
+    position: fixed;
+    top: 22%;
+    left: 50%;
+    transform: translateX(-50%);
+    padding: 8px 18px;
+    border-radius: 8px;
+    background: rgba(0, 0, 0, 0.7);
+    border: 1px solid rgba(255, 255, 255, 0.25);
+    color: #fc8;
+    font-family: monospace;
+    font-size: 16px;
+    pointer-events: none;
+    opacity: 0;
+    transition: opacity 0.3s ease;
+    z-index: 700;
+  `;
+  document.body.appendChild(notice);
+
+  const style = document.createElement('style');
+  style.textContent = `
+    .results-title {
+      margin: 0 0 12px 0;
+      color: #8cf;
+    }
+    .results-score {
+      font-size: 32px;
+      font-weight: bold;
+      color: #fc8;
+      margin: 8px 0;
+    }
+    .results-detail {
+      color: rgba(255, 255, 255, 0.8);
+    }
+    .results-btn {
+      margin-top: 16px;
+      padding: 8px 18px;
+      border: 1px solid rgba(100, 180, 255, 0.7);
+      background: rgba(100, 180, 255, 0.3);
+      color: #fff;
+      font-family: monospace;
+      font-size: 14px;
+      border-radius: 4px;
+      cursor: pointer;
+    }
+    .results-btn:hover {
+      background: rgba(100, 180, 255, 0.45);
+    }
+    .results-btn.results-secondary {
+      margin-right: 8px;
+      border-color: rgba(255, 255, 255, 0.4);
+      background: rgba(255, 255, 255, 0.1);
+    }
+    .results-table {
+      border-collapse: collapse;
+      margin: 8px auto 0;
+      font-size: 12px;
+    }
+    .results-table th,
+    .results-table td {
+      padding: 3px 6px;
+      border: 1px solid rgba(255, 255, 255, 0.15);
+    }
+    .results-table th {
+      color: rgba(255, 255, 255, 0.5);
+      font-weight: normal;
+    }
+    .results-under { color: #8f8; }
+    .results-over { color: #f88; }
+    .results-hint {
+      margin-top: 10px;
+      font-size: 11px;
+      color: rgba(255, 255, 255, 0.4);
+    }
+  `;
+  document.head.appendChild(style);
+
+  let onContinueCallback = null;
+  let onSecondaryCallback = null;
+  let noticeTimer = null;
+
+  // onSecondary: optional extra choice (.results-secondary button or its key)
+  function show(html, onContinue, onSecondary = null) {
+    panel.innerHTML = html;
+    onContinueCallback = onContinue;
+    onSecondaryCallback = onSecondary;
+    overlay.style.display = 'flex';
+
+    const btn = panel.querySelector('.results-btn:not(.results-secondary)');
+    if (btn) {
+      btn.addEventListener('click', confirm);
+    }
+    const secondaryBtn = panel.querySelector('.results-secondary');
+    if (secondaryBtn) {
+      secondaryBtn.addEventListener('click', chooseSecondary);
+    }
+  }
+
+  function hide() {
+    overlay.style.display = 'none';
+    onContinueCallback = null;
+    onSecondaryCallback = null;
+  }
+
+  function isVisible() {
+    return overlay.style.display !== 'none';
+  }
+
+  // Continue from the current overlay (button click or stage action key)
+  function confirm() {
+    if (!isVisible()) return;
+    const callback = onContinueCallback;
+    hide();
+    if (callback) callback();
+  }
+
+  // Take the overlay's secondary choice (e.g. watch the replay); the overlay closes
+  function chooseSecondary() {
+    if (!isVisible() || !onSecondaryCallback) return false;
+    const callback = onSecondaryCallback;
+    hide();
+    callback();
+    return true;
+  }
+
+  // Show hole-complete summary: { hole, shots, par, isLastHole }
+  // onReplay (optional) adds a Watch Replay choice
+  function showHoleComplete(result, onContinue, onReplay = null) {
+    const diff = result.shots - result.par;
+    const buttonLabel = result.isLastHole ? 'Finish Round' : 'Next Hole';
+    show(`
+      <h3 class="results-title">Hole ${result.hole} Complete</h3>
+      <div class="results-score">${getScoreName(result.shots, result.par)}</div>
+      <div class="results-detail">${formatToPar(diff)} · ${result.shots} ${result.shots === 1 ? 'shot' : 'shots'} · Par ${result.par}</div>
+      ${onReplay ? '<button class="results-btn results-secondary">Watch Replay</button>' : ''}
+      <button class="results-btn">${buttonLabel}</button>
+      <div class="results-hint">Press F to continue${onReplay ? ' · R to watch the replay' : ''}</div>
+    `, onContinue, onReplay);
+  }
+
+  // Show end-of-round scorecard from roundManager.getRoundSummary()
+  // summary.isPersonalBest flags a new best round; summary.practice / aimAssistUsed mark practice rounds
+  function showFinalScorecard(summary, onContinue) {
+    const cellClass = (diff) => diff < 0 ? 'results-under' : (diff > 0 ? 'results-over' : '');
+    const holeCells = summary.scores.map(s => `<th>${s.hole}</th>`).join('');
+    const parCells = summary.scores.map(s => `<td>${s.par}</td>`).join('');
+    const shotCells = summary.scores.map(s =>
+      `<td class="${cellClass(s.shots - s.par)}">${s.shots}</td>`
+    ).join('');
+
+    show(`
+      <h3 class="results-title"></h3>
+      <div class="results-score">${formatToPar(summary.toPar)}</div>
+      <div class="results-detail">${summary.totalShots} shots · Course Par ${summary.coursePar}</div>
+      ${summary.isPersonalBest ? '<div class="results-detail results-under">New personal best!</div>' : ''}
+      ${summary.practice ? `<div class="results-detail">Practice round${summary.aimAssistUsed ? ' · aim assist used' : ''}</div>` : ''}
+      <table class="results-table">
+        <tr><th>Hole</th>${holeCells}<th>Tot</th></tr>
+        <tr><th>Par</th>${parCells}<td>${summary.playedPar}</td></tr>
+        <tr><th>Shots</th>${shotCells}<td class="${cellClass(summary.toPar)}">${summary.totalShots}</td></tr>
+      </table>
+      <button class="results-btn">New Round</button>
+      <div class="results-hint">Press F to continue</div>
+    `, onContinue);
+    // Course names come from manifests and saved rounds, so they're set as text
+    panel.querySelector('.results-title').textContent = `${summary.courseName} — Round Complete`;
+  }
+
+  // Flash a short message on the HUD
+  function showNotice(text, durationSec = 2) {
+    notice.textContent = text;
+    notice.style.opacity = '1';
+    clearTimeout(noticeTimer);
+    noticeTimer = setTimeout(() => {
+      notice.style.opacity = '0';
+    }, durationSec * 1000);
+  }
+
+  return {
+    showHoleComplete,
+    showFinalScorecard,
+    showNotice,
+    hide,
+    isVisible,
+    confirm,
+    chooseSecondary
+  };
+}
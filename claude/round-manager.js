@@ -0,0 +1,98 @@
+// Round Manager - advances a round through every hole of the course
+import {
+  COURSE,
+  getHole,
+  getFlagPosition,
+  getCoursePar,
+  buildCannonConfig,
+  buildDroneConfig,
+  buildCameraStartPosition,
+  buildCameraStartYaw,
+  buildBuggyStart,
+  getHoleWind
+} from './config.js';
+
+// Create the round manager
+// session: shared gameSession object ({ currentHole, shotCount, holeComplete, scores })
+// callbacks: { onHoleSetup(setup), onRoundComplete(summary) }
+export function createRoundManager(session, callbacks) {
+
+  function isLastHole() {
+    return session.currentHole >= COURSE.holeCount;
+  }
+
+  // Everything the scene needs to place weapons, flag, drone, buggy and player (and set the wind) for a hole
+  function buildHoleSetup(holeNumber) {
+    return {
+      hole: getHole(holeNumber),
+      cannonConfig: buildCannonConfig(holeNumber),
+      flagPosition: getFlagPosition(holeNumber),
+      droneConfig: buildDroneConfig(holeNumber),
+      cameraStart: buildCameraStartPosition(holeNumber),
+      cameraYaw: buildCameraStartYaw(holeNumber),
+      wind: getHoleWind(holeNumber),
+      buggyStart: buildBuggyStart(holeNumber)
+    };
+  }
+
+  function setupHole(holeNumber) {
+    session.currentHole = holeNumber;
+    session.shotCount = 0;
+    session.holeComplete = false;
+
+    if (callbacks.onHoleSetup) {
+      callbacks.onHoleSetup(buildHoleSetup(holeNumber));
+    }
+  }
+
+  function startRound() {
+    session.scores = [];
+    setupHole(1);
+  }
+
+  // Record the current hole's score; returns the result (null if already recorded)
+  function completeHole() {
+    if (session.holeComplete) return null;
+    session.holeComplete = true;
+
+    const hole = getHole(session.currentHole);
+    const score = { hole: hole.number, shots: session.shotCount, par: hole.par };
+    session.scores.push(score);
+
+    return { ...score, isLastHole: isLastHole() };
+  }
+
+  // Move on to the next hole, or finish the round after the last one
+  function advance() {
+    if (isLastHole()) {
+      if (callbacks.onRoundComplete) {
+        callbacks.onRoundComplete(getRoundSummary());
+      }
+      return;
+    }
+    setupHole(session.currentHole + 1);
+  }
+
+  // Totals for the holes played so far, against the full course par
+  function getRoundSummary() {
+    const totalShots = session.scores.reduce((sum, s) => sum + s.shots, 0);
+    const playedPar = session.scores.reduce((sum, s) => sum + s.par, 0);
+    return {
+      courseName: COURSE.name,
+      scores: session.scores.slice(),
+      totalShots,
+      playedPar,
+      coursePar: getCoursePar(),
+      toPar: totalShots - playedPar
+    };
+  }
+
+  return {
+    startRound,
+    setupHole,
+    completeHole,
+    advance,
+    isLastHole,
+    getRoundSummary
+  };
+}
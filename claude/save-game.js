@@ -0,0 +1,106 @@
+// Save game - versioned snapshot of the round in progress, autosaved to localStorage
+import { SAVE_GAME } from './config.js';
+
+// Upgrades for older snapshots: SAVE_MIGRATIONS[n](save) turns a version n save into version n + 1
+// Saves older than the first migration (or newer than this build) are rejected
+export const SAVE_MIGRATIONS = {};
+
+const WEAPONS = ['howitzer', 'mortar'];
+
+const isPoint = (p) => !!p && Number.isFinite(p.x) && Number.isFinite(p.y) && Number.isFinite(p.z);
+const isAim = (aim) => !!aim && Number.isFinite(aim.rotation) && Number.isFinite(aim.elevation);
+
+// Build a snapshot of the live session
+// state: {
+//   courseId, courseName, practice,
+//   session: { currentHole, shotCount, scores },   (round manager state)
+//   round,                                          (scorecard round)
+//   weapon: { type, position, heading, aim: { howitzer, mortar } },   (aim: { rotation, elevation })
+//   ball,                                           (where the next shot is played from, null = the weapon's spot)
+//   hour                                            (time of day)
+// }
+export function createSaveSnapshot(state) {
+  return {
+    version: SAVE_GAME.version,
+    savedAt: new Date().toISOString(),
+    ...JSON.parse(JSON.stringify(state))
+  };
+}
+
+// Check a stored snapshot, migrating older versions up to options.version (SAVE_GAME.version)
+// Throws an Error naming the first problem found
+export function parseSaveGame(data, options = {}) {
+  const version = options.version || SAVE_GAME.version;
+  const migrations = options.migrations || SAVE_MIGRATIONS;
+
+  if (!data || typeof data !== 'object') throw new Error('Save is not a JSON object');
+  if (!Number.isInteger(data.version)) throw new Error('Save has no version');
+  if (data.version > version) throw new Error(`Save version ${data.version} is newer than this game (${version})`);
+
+  let save = data;
+  while (save.version < version) {
+    const migrate = migrations[save.version];
+    if (!migrate) throw new Error(`Save version ${save.version} can't be upgraded to ${version}`);
+    save = { ...migrate(save), version: save.version + 1 };
+  }
+
+  const { session, weapon } = save;
+  if (typeof save.courseId !== 'string' || !save.courseId) throw new Error('Save is missing its course');
+  if (!session || !Number.isInteger(session.currentHole) || session.currentHole < 1) {
+    throw new Error('Save is missing the current hole');
+  }
+  if (!Number.isInteger(session.shotCount) || session.shotCount < 0) throw new Error('Save is missing the shot count');
+  if (!Array.isArray(session.scores)) throw new Error('Save is missing the hole scores');
+  if (!save.round || !Array.isArray(save.round.holes)) throw new Error('Save is missing the scorecard');
+  if (!weapon || !WEAPONS.includes(weapon.type)) throw new Error('Save is missing the weapon');
+  if (!isPoint(weapon.position) || !Number.isFinite(weapon.heading)) throw new Error('Save is missing the weapon position');
+  if (!weapon.aim || !WEAPONS.every(type => isAim(weapon.aim[type]))) throw new Error('Save is missing the weapon aim');
+  if (save.ball !== null && !isPoint(save.ball)) throw new Error('Save has an invalid ball position');
+  if (!Number.isFinite(save.hour) || save.hour < 0 || save.hour > 24) throw new Error('Save has an invalid time of day');
+
+  return save;
+}
+
+// Create the save store
+// storage: localStorage-like object (getItem/setItem/removeItem), null disables saving
+export function createSaveStore(storage = window.localStorage) {
+  function clear() {
+    if (!storage) return;
+    try {
+      storage.removeItem(SAVE_GAME.storageKey);
+    } catch (error) {
+      console.warn('Failed to clear saved round:', error.message);
+    }
+  }
+
+  // state: see createSaveSnapshot
+  function save(state) {
+    if (!storage) return;
+    try {
+      storage.setItem(SAVE_GAME.storageKey, JSON.stringify(createSaveSnapshot(state)));
+    } catch (error) {
+      console.warn('Failed to save round:', error.message);
+    }
+  }
+
+  // The saved round (migrated to the current version), or null
+  // Unreadable or rejected saves are removed
+  function load() {
+    if (!storage) return null;
+    try {
+      const raw = storage.getItem(SAVE_GAME.storageKey);
+      if (!raw) return null;
+      return parseSaveGame(JSON.parse(raw));
+    } catch (error) {
+      console.warn('Saved round discarded:', error.message);
+      clear();
+      return null;
+    }
+  }
+
+  return {
+    save,
+    load,
+    clear
+  };
+}
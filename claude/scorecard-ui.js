@@ -0,0 +1,150 @@
+// Scorecard UI - per-hole and per-shot breakdown with personal bests
+import { formatToPar } from './scorecard.js';
+
+// Create Scorecard panel
+// scorecard: createScorecard() instance to read from
+export function createScorecardPanel(scorecard) {
+  const panel = document.createElement('div');
+  panel.id = 'scorecard-panel';
+  panel.style.cssText = `
+    position: fixed;
+    top: 50%;
+    left: 50%;
+    transform: translate(-50%, -50%);
+    padding: 16px 22px;
+    border-radius: 12px;
+    background: rgba(0, 0, 0, 0.85);
+    border: 2px solid rgba(255, 255, 255, 0.3);
+    color: #fff;
+    font-family: monospace;
+    font-size: 12px;
+    display: none;
+    z-index: 600;
+    max-height: 80vh;
+    overflow-y: auto;
+    min-width: 280px;
+  `;
+  document.body.appendChild(panel);
+
+  const style = document.createElement('style');
+  style.textContent = `
+    #scorecard-panel h3 {
+      margin: 0 0 10px 0;
+      text-align: center;
+      color: #8cf;
+    }
+    #scorecard-panel table {
+      border-collapse: collapse;
+      width: 100%;
+    }
+    #scorecard-panel th,
+    #scorecard-panel td {
+      padding: 3px 6px;
+      text-align: left;
+    }
+    #scorecard-panel th {
+      color: rgba(255, 255, 255, 0.5);
+      font-weight: normal;
+      border-bottom: 1px solid rgba(255, 255, 255, 0.15);
+    }
+    #scorecard-panel .sc-hole td {
+      border-top: 1px solid rgba(255, 255, 255, 0.15);
+    }
+    #scorecard-panel .sc-stroke td {
+      color: rgba(255, 255, 255, 0.6);
+      font-size: 11px;
+    }
+    #scorecard-panel .sc-under { color: #8f8; }
+    #scorecard-panel .sc-over { color: #f88; }
+    #scorecard-panel .sc-assist { color: #6df; }
+    #scorecard-panel .sc-footer {
+      margin-top: 10px;
+      color: rgba(255, 255, 255, 0.7);
+      text-align: center;
+    }
+    #scorecard-panel .sc-hint {
+      margin-top: 8px;
+      font-size: 11px;
+      color: rgba(255, 255, 255, 0.4);
+      text-align: center;
+    }
+  `;
+  document.head.appendChild(style);
+
+  const diffClass = (diff) => diff < 0 ? 'sc-under' : (diff > 0 ? 'sc-over' : '');
+
+  function formatSelections(s) {
+    return `${s.charge}/${s.kick}/${s.hang}/${s.break}`;
+  }
+
+  function render() {
+    const holes = scorecard.getHoleScores();
+    const totals = scorecard.getTotals();
+    const bests = scorecard.getBests();
+
+    const rows = holes.map(h => {
+      const best = bests.holes[h.hole];
+      const holeRow = `<tr class="sc-hole">
+        <td>${h.hole}</td>
+        <td>${h.par}</td>
+        <td>${h.shots}</td>
+        <td class="${h.complete ? diffClass(h.toPar) : ''}">${h.complete ? h.name : 'in play'}</td>
+        <td class="${diffClass(h.cumulativeToPar)}">${formatToPar(h.cumulativeToPar)}</td>
+        <td>${best !== undefined ? best : '-'}</td>
+      </tr>`;
+      const strokeRows = h.strokes.map(s => `<tr class="sc-stroke">
+        <td></td>
+        <td colspan="2">#${s.stroke} ${s.weapon}${s.lie ? ` (${s.lie})` : ''}</td>
+        <td colspan="2">${formatSelections(s.selections)}${s.aimAssist ? ' <span class="sc-assist">aim</span>' : ''}</td>
+        <td>${s.penalty ? `${s.penalty} +1` : s.landingDistance !== null ? `${s.landingDistance.toFixed(1)}m` : '--'}</td>
+      </tr>`).join('');
+      return holeRow + strokeRows;
+    }).join('');
+
+    const bestRound = bests.round
+      ? `Best round: ${bests.round.shots} (${formatToPar(bests.round.toPar)})`
+      : 'Best round: --';
+    const practiceNote = scorecard.isPractice()
+      ? `<br><span class="sc-assist">Practice round${scorecard.usedAimAssist() ? ' · aim assist used' : ''} - bests not recorded</span>`
+      : '';
+
+    panel.innerHTML = `
+      <h3>Scorecard${scorecard.isPractice() ? ' · Practice' : ''}</h3>
+      <table>
+        <tr><th>Hole</th><th>Par</th><th>Shots</th><th>Score</th><th>Total</th><th>Best</th></tr>
+        ${rows || '<tr><td colspan="6">No shots yet</td></tr>'}
+      </table>
+      <div class="sc-footer">
+        ${totals.shots} shots over ${totals.holesPlayed} ${totals.holesPlayed === 1 ? 'hole' : 'holes'}
+        · <span class="${diffClass(totals.toPar)}">${formatToPar(totals.toPar)}</span>
+        <br>${bestRound}${practiceNote}
+      </div>
+      <div class="sc-hint">Press C to close</div>
+    `;
+  }
+
+  function show() {
+    render();
+    panel.style.display = 'block';
+  }
+
+  function hide() {
+    panel.style.display = 'none';
+  }
+
+  function isVisible() {
+    return panel.style.display !== 'none';
+  }
+
+  return {
+    show,
+    hide,
+    isVisible,
+    toggle() {
+      if (isVisible()) hide(); else show();
+    },
+    refresh() {
+      if (isVisible()) render();
+    }
+  };
+}
@@ -0,0 +1,231 @@
+// Scorecard - stroke history, score relative to par, persisted rounds and personal bests
+import { SCORECARD } from './config.js';
+
+// Golf name for a hole result
+export function getScoreName(shots, par) {
+  if (shots === 1) return 'Hole in One';
+  const diff = shots - par;
+  switch (diff) {
+    case -3: return 'Albatross';
+    case -2: return 'Eagle';
+    case -1: return 'Birdie';
+    case 0: return 'Par';
+    case 1: return 'Bogey';
+    case 2: return 'Double Bogey';
+    case 3: return 'Triple Bogey';
+    default: return diff < 0 ? `${diff}` : `+${diff}`;
+  }
+}
+
+// Format strokes relative to par: "E", "+2", "-1"
+export function formatToPar(diff) {
+  if (diff === 0) return 'E';
+  return diff > 0 ? `+${diff}` : `${diff}`;
+}
+
+// Empty per-course bests: best round and fewest shots per hole
+function createEmptyBests() {
+  return { round: null, holes: {} };
+}
+
+// Read the persisted { rounds, bests } record, tolerating missing or corrupt data
+// bests is keyed by course name
+function loadSaved(storage) {
+  const empty = { rounds: [], bests: {} };
+  if (!storage) return empty;
+  try {
+    const raw = storage.getItem(SCORECARD.storageKey);
+    if (!raw) return empty;
+    const data = JSON.parse(raw);
+    return {
+      rounds: Array.isArray(data.rounds) ? data.rounds : [],
+      bests: data.bests && typeof data.bests === 'object' ? data.bests : {}
+    };
+  } catch (error) {
+    console.warn('Scorecard storage unreadable, starting fresh:', error.message);
+    return empty;
+  }
+}
+
+// Create the scorecard
+// storage: localStorage-like object (getItem/setItem), null disables persistence
+export function createScorecard(storage = window.localStorage) {
+  let saved = loadSaved(storage);
+
+  // Current round: { courseName, startedAt, practice, holes: [{ hole, par, strokes, shots, complete }] }
+  let round = null;
+
+  function persist() {
+    if (!storage) return;
+    try {
+      storage.setItem(SCORECARD.storageKey, JSON.stringify(saved));
+    } catch (error) {
+      console.warn('Failed to save scorecard:', error.message);
+    }
+  }
+
+  // Bests for the current round's course (created on first use)
+  function getCourseBests() {
+    const courseName = round ? round.courseName : '';
+    if (!saved.bests[courseName]) {
+      saved.bests[courseName] = createEmptyBests();
+    }
+    return saved.bests[courseName];
+  }
+
+  // options.practice: practice rounds are saved but never set bests
+  function startRound(courseName, options = {}) {
+    round = { courseName, startedAt: new Date().toISOString(), practice: !!options.practice, holes: [] };
+  }
+
+  // Continue a round restored from a save (see save-game.js)
+  function resumeRound(savedRound) {
+    round = JSON.parse(JSON.stringify(savedRound));
+  }
+
+  // Any stroke this round played with the aim assist showing
+  function usedAimAssist() {
+    return !!round && round.holes.some(h => h.strokes.some(s => s.aimAssist));
+  }
+
+  // Get (or open) the entry for a hole
+  function getHoleEntry(holeNumber, par) {
+    let entry = round.holes.find(h => h.hole === holeNumber);
+    if (!entry) {
+      entry = { hole: holeNumber, par, strokes: [], penalties: 0, shots: 0, complete: false };
+      round.holes.push(entry);
+    }
+    return entry;
+  }
+
+  // Record a fired shot: { hole, par, weapon, lie, selections, aimAssist }
+  function recordShot(shot) {
+    const entry = getHoleEntry(shot.hole, shot.par);
+    const stroke = {
+      stroke: entry.strokes.length + 1,
+      weapon: shot.weapon,
+      lie: shot.lie || null,
+      selections: { ...shot.selections },
+      aimAssist: !!shot.aimAssist,
+      landingDistance: null,
+      landingPosition: null,
+      penalty: null
+    };
+    entry.strokes.push(stroke);
+    entry.shots = entry.strokes.length + (entry.penalties || 0);
+    return stroke;
+  }
+
+  // Add a penalty stroke to a hole, noted on its latest stroke (reason: e.g. 'water')
+  function recordPenalty(holeNumber, par, reason) {
+    const entry = getHoleEntry(holeNumber, par);
+    entry.penalties = (entry.penalties || 0) + 1;
+    entry.shots = entry.strokes.length + entry.penalties;
+    const stroke = entry.strokes[entry.strokes.length - 1];
+    if (stroke) stroke.penalty = reason;
+  }
+
+  // Fill in where the latest stroke on a hole came to rest
+  function recordLanding(holeNumber, position, distance) {
+    const entry = round?.holes.find(h => h.hole === holeNumber);
+    const stroke = entry?.strokes[entry.strokes.length - 1];
+    if (!stroke) return;
+    stroke.landingPosition = { x: position.x, y: position.y, z: position.z };
+    stroke.landingDistance = distance;
+  }
+
+  // Close a hole with its final shot count (includes any penalty strokes)
+  function completeHole(holeNumber, par, shots) {
+    const entry = getHoleEntry(holeNumber, par);
+    entry.shots = shots;
+    entry.complete = true;
+    if (round.practice) return;
+
+    const bests = getCourseBests();
+    const best = bests.holes[holeNumber];
+    if (best === undefined || shots < best) {
+      bests.holes[holeNumber] = shots;
+      persist();
+    }
+  }
+
+  // Per-hole rows with cumulative score relative to par
+  function getHoleScores() {
+    if (!round) return [];
+    let cumulative = 0;
+    return round.holes.map(entry => {
+      const diff = entry.shots - entry.par;
+      if (entry.complete) cumulative += diff;
+      return {
+        ...entry,
+        toPar: diff,
+        name: entry.complete ? getScoreName(entry.shots, entry.par) : null,
+        cumulativeToPar: cumulative
+      };
+    });
+  }
+
+  function getTotals() {
+    const completed = round ? round.holes.filter(h => h.complete) : [];
+    const shots = completed.reduce((sum, h) => sum + h.shots, 0);
+    const par = completed.reduce((sum, h) => sum + h.par, 0);
+    return { shots, par, toPar: shots - par, holesPlayed: completed.length };
+  }
+
+  // Save the finished round and update the best round; returns true on a new personal best
+  function finishRound() {
+    if (!round) return false;
+    const totals = getTotals();
+    const record = {
+      courseName: round.courseName,
+      startedAt: round.startedAt,
+      finishedAt: new Date().toISOString(),
+      practice: round.practice,
+      aimAssistUsed: usedAimAssist(),
+      ...totals,
+      holes: round.holes
+    };
+
+    saved.rounds.push(record);
+    if (saved.rounds.length > SCORECARD.maxSavedRounds) {
+      saved.rounds.splice(0, saved.rounds.length - SCORECARD.maxSavedRounds);
+    }
+
+    if (round.practice) {
+      persist();
+      return false;
+    }
+
+    // Best round is tracked per course
+    const bests = getCourseBests();
+    const previousBest = bests.round;
+    const isBest = !previousBest || totals.shots < previousBest.shots;
+    if (isBest) {
+      bests.round = { shots: totals.shots, toPar: totals.toPar, finishedAt: record.finishedAt };
+    }
+
+    persist();
+    return isBest;
+  }
+
+  return {
+    startRound,
+    resumeRound,
+    recordShot,
+    recordPenalty,
+    recordLanding,
+    completeHole,
+    finishRound,
+    getHoleScores,
+    getTotals,
+    usedAimAssist,
+    isPractice: () => !!round && round.practice,
+    getRound: () => round,
+    getSavedRounds: () => saved.rounds.slice(),
+    getBests: () => saved.bests[round ? round.courseName : ''] || createEmptyBests(),
+    clearSaved() {
+      saved = { rounds: [], bests: {} };
+      persist();
+    }
+  };
+}
@@ -0,0 +1,132 @@
+// Shell loading module - checks the loader's stance and animates the shell from hand into the weapon
+import * as THREE from 'three';
+
+const _toLoad = new THREE.Vector3();
+const _view = new THREE.Vector3();
+
+// Can the player load from here?
+// eyePosition/viewDirection: camera; weapon: adapter with loadEnd, getPosition, getLoadPoint, getFiringDirection
+// config: CANNON (see config.js)
+// Returns null when loading is allowed, otherwise 'far' | 'wrong-end' | 'facing-away'
+export function checkLoadingPosition(eyePosition, viewDirection, weapon, config) {
+  const loadPoint = weapon.getLoadPoint();
+  const horizontalDistance = Math.hypot(loadPoint.x - eyePosition.x, loadPoint.z - eyePosition.z);
+  if (horizontalDistance > config.loadDistance) return 'far';
+
+  // Stand at the loading end: behind the breech (howitzer) or in front of the muzzle (mortar)
+  const firing = weapon.getFiringDirection();
+  const axis = new THREE.Vector2(firing.x, firing.z);
+  if (axis.lengthSq() > 1e-6) {
+    axis.normalize();
+    if (weapon.loadEnd === 'breech') axis.negate();
+    const weaponPosition = weapon.getPosition();
+    const toPlayer = new THREE.Vector2(eyePosition.x - weaponPosition.x, eyePosition.z - weaponPosition.z);
+    if (toPlayer.lengthSq() > 1e-6 && toPlayer.normalize().dot(axis) < config.loadSideDot) {
+      return 'wrong-end';
+    }
+  }
+
+  // Look at the opening the shell goes into
+  _toLoad.subVectors(loadPoint, eyePosition).normalize();
+  _view.copy(viewDirection).normalize();
+  const angle = THREE.MathUtils.radToDeg(Math.acos(THREE.MathUtils.clamp(_toLoad.dot(_view), -1, 1)));
+  if (angle > config.loadFacingDeg) return 'facing-away';
+
+  return null;
+}
+
+// Create shell loader
+// Carries a copy of the held shell to the weapon's load point, then seats it at the loaded ball
+export function createShellLoader(scene, config) {
+  const state = {
+    shell: null,
+    time: 0,
+    weapon: null,
+    onDone: null
+  };
+
+  const startPosition = new THREE.Vector3();
+  const loadPoint = new THREE.Vector3();
+  const seatPosition = new THREE.Vector3();
+  const seatScale = new THREE.Vector3();
+  const startScale = new THREE.Vector3();
+
+  // Fraction of the animation spent carrying the shell to the opening (rest is the push home)
+  const CARRY_FRACTION = 0.6;
+
+  const easeInOut = t => t * t * (3 - 2 * t);
+
+  // heldObject: the object in the player's hand (left in place - the caller hides it)
+  // weapon: adapter with getLoadPoint and getLoadedBall; onDone runs once the shell is seated
+  // Returns false if a load is already in progress
+  function start(heldObject, weapon, onDone) {
+    if (state.shell) return false;
+
+    heldObject.updateWorldMatrix(true, false);
+    heldObject.getWorldPosition(startPosition);
+    heldObject.getWorldScale(startScale);
+
+    const shell = heldObject.clone();
+    shell.position.copy(startPosition);
+    shell.scale.copy(startScale);
+    scene.add(shell);
+
+    // Grow from hand size to the size of the seated ball
+    const seated = weapon.getLoadedBall();
+    seated.updateWorldMatrix(true, false);
+    seated.getWorldScale(seatScale);
+    heldObject.geometry.computeBoundingSphere();
+    seated.geometry.computeBoundingSphere();
+    const heldRadius = heldObject.geometry.boundingSphere.radius * startScale.x;
+    const seatedRadius = seated.geometry.boundingSphere.radius * seatScale.x;
+    seatScale.copy(startScale).multiplyScalar(seatedRadius / heldRadius);
+
+    loadPoint.copy(weapon.getLoadPoint());
+    seated.getWorldPosition(seatPosition);
+
+    state.shell = shell;
+    state.time = 0;
+    state.weapon = weapon;
+    state.onDone = onDone;
+    return true;
+  }
+
+  function finish() {
+    if (!state.shell) return;
+    scene.remove(state.shell);
+    state.shell = null;
+    state.weapon = null;
+
+    const callback = state.onDone;
+    state.onDone = null;
+    if (callback) callback();
+  }
+
+  function update(dt) {
+    if (!state.shell) return;
+
+    state.time += dt;
+    const progress = Math.min(state.time / config.loadTime, 1);
+    const shell = state.shell;
+
+    if (progress < CARRY_FRACTION) {
+      const t = easeInOut(progress / CARRY_FRACTION);
+      shell.position.lerpVectors(startPosition, loadPoint, t);
+      shell.scale.lerpVectors(startScale, seatScale, t);
+    } else {
+      const t = easeInOut((progress - CARRY_FRACTION) / (1 - CARRY_FRACTION));
+      shell.position.lerpVectors(loadPoint, seatPosition, t);
+      shell.scale.copy(seatScale);
+    }
+
+    if (progress >= 1) finish();
+  }
+
+  return {
+    start,
+    update,
+    // Seat the shell immediately (e.g. the stage changes mid-load)
+    finish,
+    isActive: () => state.shell !== null
+  };
+}
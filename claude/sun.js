@@ -171,12 +171,14 @@ export function updateSunPosition(sun, skybox, scene, lighting, hour, config, li
 }
 
 // Setup hour control UI
-export function setupHourControl(sun, skybox, scene, lighting, config) {
+// signal: optional AbortSignal that removes the listeners from the (page-lifetime) HUD inputs
+export function setupHourControl(sun, skybox, scene, lighting, config, signal) {
   const hourInput = document.getElementById('hourInput');
   const hourDisplay = document.getElementById('hourDisplay');
   const lockLightingCheckbox = document.getElementById('lockLighting');
 
-  let lightingLocked = true;
+  // The checkbox keeps its state when the game is rebuilt for another course
+  let lightingLocked = lockLightingCheckbox.checked;
 
   function formatHour(hour) {
     const h = Math.floor(hour);
@@ -193,7 +195,7 @@ export function setupHourControl(sun, skybox, scene, lighting, config) {
     const hour = parseFloat(hourInput.value) || 12;
     config.hour = hour;
     update(hour);
-  });
+  }, { signal });
 
   lockLightingCheckbox.addEventListener('change', (e) => {
     lightingLocked = e.target.checked;
@@ -202,13 +204,21 @@ export function setupHourControl(sun, skybox, scene, lighting, config) {
     } else {
       update(config.hour);
     }
-  });
+  }, { signal });
+
+  // Set the time of day from code (e.g. a resumed round)
+  function setHour(hour) {
+    config.hour = hour;
+    hourInput.value = hour;
+    update(hour);
+  }
 
-  // Initial update
-  update(config.hour);
+  // Initial update (the course may start at a different hour from the slider's default)
+  setHour(config.hour);
 
   return {
     update,
+    setHour,
     isLightingLocked: () => lightingLocked
   };
 }
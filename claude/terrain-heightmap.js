@@ -1,6 +1,19 @@
 // Terrain Heightmap Module - Tessellated vertex grid terrain from binary heightmap data
 import * as THREE from 'three';
 
+// Material ids painted by the codex editor (used when the config has no materialLegend)
+const DEFAULT_MATERIAL_LEGEND = [
+  { id: 0, name: 'fairway' },
+  { id: 1, name: 'green' },
+  { id: 2, name: 'rough' },
+  { id: 3, name: 'bunker' },
+  { id: 4, name: 'tee' },
+  { id: 5, name: 'water' }
+];
+
+// Heightmap sample formats written by the codex editor
+export const HEIGHTMAP_EXPORT_TYPES = ['float32', 'uint16'];
+
 /**
  * Load terrain configuration from JSON file
  * @param {string} jsonPath - Path to the terrain JSON config file
@@ -22,12 +35,21 @@ async function loadTerrainConfig(jsonPath) {
  * @returns {Promise<Float32Array>} Normalized height values (0-1)
  */
 async function loadHeightmapBinary(binaryPath, exportType, vertexCount) {
+  if (!HEIGHTMAP_EXPORT_TYPES.includes(exportType)) {
+    throw new Error(`Unknown exportType: ${exportType}. Expected "float32" or "uint16"`);
+  }
+
   const response = await fetch(binaryPath);
   if (!response.ok) {
     throw new Error(`Failed to load heightmap binary: ${binaryPath} (${response.status})`);
   }
 
   const arrayBuffer = await response.arrayBuffer();
+  const bytesPerVertex = exportType === 'float32' ? 4 : 2;
+  if (arrayBuffer.byteLength !== vertexCount * bytesPerVertex) {
+    throw new Error(`Heightmap ${binaryPath} has the wrong vertex count: expected ${vertexCount} ${exportType} values (${vertexCount * bytesPerVertex} bytes), got ${arrayBuffer.byteLength} bytes`);
+  }
+
   let rawData;
   let maxValue;
 
@@ -39,16 +61,9 @@ async function loadHeightmapBinary(binaryPath, exportType, vertexCount) {
     for (let i = 0; i < rawData.length; i++) {
       if (rawData[i] > maxValue) maxValue = rawData[i];
     }
-  } else if (exportType === 'uint16') {
+  } else {
     rawData = new Uint16Array(arrayBuffer);
     maxValue = 65535; // 16-bit max
-  } else {
-    throw new Error(`Unknown exportType: ${exportType}. Expected "float32" or "uint16"`);
-  }
-
-  // Validate data size
-  if (rawData.length < vertexCount) {
-    throw new Error(`Heightmap data too small: expected ${vertexCount} vertices, got ${rawData.length}`);
   }
 
   // Normalize to 0-1 range
@@ -60,6 +75,84 @@ async function loadHeightmapBinary(binaryPath, exportType, vertexCount) {
   return normalized;
 }
 
+/**
+ * Load binary material map (one uint8 material id per vertex, same order as the heightmap)
+ * @param {string} materialPath - Path to the raw binary file
+ * @param {number} vertexCount - Total number of vertices to read
+ * @returns {Promise<Uint8Array>} Material ids
+ */
+async function loadMaterialBinary(materialPath, vertexCount) {
+  const response = await fetch(materialPath);
+  if (!response.ok) {
+    throw new Error(`Failed to load material map: ${materialPath} (${response.status})`);
+  }
+
+  const data = new Uint8Array(await response.arrayBuffer());
+  if (data.length !== vertexCount) {
+    throw new Error(`Material map ${materialPath} has the wrong vertex count: expected ${vertexCount}, got ${data.length}`);
+  }
+  return data;
+}
+
+/**
+ * Resolve a file referenced by the terrain config relative to the config's directory
+ * @param {string} configPath - Path to the terrain JSON config
+ * @param {string} file - File name from the config
+ * @returns {string} Resolved path
+ */
+export function resolveConfigRelativePath(configPath, file) {
+  const configDir = configPath.substring(0, configPath.lastIndexOf('/') + 1);
+  return file.startsWith('./')
+    ? configDir + file.substring(2)
+    : file.startsWith('/')
+      ? file
+      : configDir + file;
+}
+
+/**
+ * Create a material map object with world-space lookups
+ * @param {Uint8Array} materialData - Material id per vertex
+ * @param {Object} terrainConfig - Terrain configuration (optional materialLegend)
+ * @returns {Object} Material map object with query methods
+ */
+function createMaterialMapObject(materialData, terrainConfig) {
+  const { terrainSize, resolution } = terrainConfig;
+  const verticesPerSide = resolution + 1;
+  const halfSize = terrainSize / 2;
+  const names = new Map(
+    (terrainConfig.materialLegend || DEFAULT_MATERIAL_LEGEND).map(entry => [entry.id, entry.name])
+  );
+
+  return {
+    data: materialData,
+    names,
+
+    /**
+     * Get material id of the nearest vertex at world coordinates
+     * @param {number} worldX - World X position
+     * @param {number} worldZ - World Z position
+     * @returns {number} Material id
+     */
+    getMaterialIdAtWorld(worldX, worldZ) {
+      const x = Math.round(((worldX + halfSize) / terrainSize) * resolution);
+      const z = Math.round(((worldZ + halfSize) / terrainSize) * resolution);
+      const gx = Math.max(0, Math.min(resolution, x));
+      const gz = Math.max(0, Math.min(resolution, z));
+      return materialData[gz * verticesPerSide + gx];
+    },
+
+    /**
+     * Get material name at world coordinates
+     * @param {number} worldX - World X position
+     * @param {number} worldZ - World Z position
+     * @returns {string|null} Material name (e.g. 'fairway'), null for unknown ids
+     */
+    getMaterialAtWorld(worldX, worldZ) {
+      return names.get(this.getMaterialIdAtWorld(worldX, worldZ)) || null;
+    }
+  };
+}
+
 /**
  * Create terrain mesh from heightmap data
  * @param {Object} terrainConfig - Configuration from JSON file
@@ -226,7 +319,7 @@ function createHeightmapObject(heightData, terrainConfig) {
 /**
  * Load and create terrain from configuration file
  * @param {string} configPath - Path to terrain JSON config
- * @returns {Promise<Object>} Object containing mesh and heightmap
+ * @returns {Promise<Object>} Object containing mesh, heightmap and material map (null if none)
  */
 export async function loadTerrain(configPath) {
   console.log(`Loading terrain from: ${configPath}`);
@@ -235,19 +328,25 @@ export async function loadTerrain(configPath) {
   const terrainConfig = await loadTerrainConfig(configPath);
   console.log('Terrain config:', terrainConfig);
 
-  const { terrainSize, resolution, maxHeight, exportType, binaryFile } = terrainConfig;
+  return loadTerrainFiles(terrainConfig, configPath);
+}
+
+/**
+ * Load terrain from an already-parsed config (e.g. the terrain section of a course manifest)
+ * @param {Object} terrainConfig - Terrain configuration (same fields as the terrain JSON)
+ * @param {string} configPath - Path the config's files are relative to
+ * @param {Object} options - requireMaterials: fail instead of warning when the material map won't load
+ * @returns {Promise<Object>} Object containing mesh, heightmap, materials and config
+ */
+export async function loadTerrainFiles(terrainConfig, configPath, options = {}) {
+  const { terrainSize, resolution, maxHeight, exportType, binaryFile, materialFile } = terrainConfig;
   const verticesPerSide = resolution + 1;
   const vertexCount = verticesPerSide * verticesPerSide;
 
   console.log(`Terrain: ${terrainSize}x${terrainSize} units, ${resolution}x${resolution} segments, ${vertexCount} vertices`);
 
   // Resolve binary file path relative to config file
-  const configDir = configPath.substring(0, configPath.lastIndexOf('/') + 1);
-  const binaryPath = binaryFile.startsWith('./')
-    ? configDir + binaryFile.substring(2)
-    : binaryFile.startsWith('/')
-      ? binaryFile
-      : configDir + binaryFile;
+  const binaryPath = resolveConfigRelativePath(configPath, binaryFile);
 
   console.log(`Loading heightmap binary: ${binaryPath} (${exportType})`);
 
@@ -260,11 +359,26 @@ export async function loadTerrain(configPath) {
   // Create terrain mesh
   const mesh = createTerrainMesh(terrainConfig, heightData);
 
+  // Material map is optional - terrain still works without one
+  let materials = null;
+  if (materialFile) {
+    const materialPath = resolveConfigRelativePath(configPath, materialFile);
+    try {
+      const materialData = await loadMaterialBinary(materialPath, vertexCount);
+      materials = createMaterialMapObject(materialData, terrainConfig);
+      console.log(`Loaded material map: ${materialPath}`);
+    } catch (error) {
+      if (options.requireMaterials) throw error;
+      console.warn(`Material map unavailable: ${error.message}`);
+    }
+  }
+
   console.log(`Terrain loaded successfully. Max height: ${maxHeight}`);
 
   return {
     mesh,
     heightmap,
+    materials,
     config: terrainConfig
   };
 }
@@ -296,6 +410,7 @@ export function createFlatTerrain(size = 4000, resolution = 64) {
   return {
     mesh,
     heightmap,
+    materials: null,
     config: terrainConfig
   };
 }
@@ -1,6 +1,6 @@
 // Terrain Renderer Module - Renders heightmap terrain with vertex coloring
 import * as THREE from 'three';
-import { loadTerrain, createFlatTerrain } from './terrain-heightmap.js';
+import { loadTerrain, loadTerrainFiles, createFlatTerrain, applyTerrainTexture } from './terrain-heightmap.js';
 import * as CONFIG from './config.js';
 
 // Default color gradient for terrain (by normalized height 0-1)
@@ -118,21 +118,29 @@ export async function createTerrain(options = {}) {
 
   let terrainData;
   let loadedFromFile = false;
+  let loadError = null;
 
   try {
-    // Try to load terrain from config file
-    console.log(`Attempting to load terrain from: ${configFile}`);
-    terrainData = await loadTerrain(configFile);
+    if (options.terrainConfig) {
+      // Terrain section of a course manifest - files are relative to options.basePath
+      console.log(`Attempting to load course terrain from: ${options.basePath}`);
+      terrainData = await loadTerrainFiles(options.terrainConfig, options.basePath, { requireMaterials: true });
+    } else {
+      // Try to load terrain from config file
+      console.log(`Attempting to load terrain from: ${configFile}`);
+      terrainData = await loadTerrain(configFile);
+    }
     loadedFromFile = true;
     console.log('Terrain loaded successfully from heightmap');
   } catch (error) {
     // Fall back to flat terrain
+    loadError = error.message;
     console.warn(`Failed to load terrain heightmap: ${error.message}`);
     console.log(`Creating flat terrain fallback (${fallbackSize}x${fallbackSize}, ${fallbackResolution} segments)`);
     terrainData = createFlatTerrain(fallbackSize, fallbackResolution);
   }
 
-  const { mesh, heightmap, config } = terrainData;
+  const { mesh, heightmap, materials, config } = terrainData;
 
   // Replace material with vertex-color-enabled material
   mesh.material.dispose();
@@ -143,6 +151,12 @@ export async function createTerrain(options = {}) {
   // Apply vertex colors based on height
   applyVertexColors(mesh, heightmap, colorStops);
 
+  // A course texture replaces the height colouring
+  if (options.texture && loadedFromFile) {
+    mesh.material.vertexColors = false;
+    applyTerrainTexture(mesh, options.texture);
+  }
+
   // Configure mesh properties
   mesh.receiveShadow = true;
   mesh.castShadow = false;
@@ -177,6 +191,7 @@ export async function createTerrain(options = {}) {
     heightmap,
     config,
     loadedFromFile,
+    loadError,
 
     /**
      * Toggle wireframe overlay visibility
@@ -230,6 +245,16 @@ export async function createTerrain(options = {}) {
       return heightmap.getNormalAtWorld(x, z);
     },
 
+    /**
+     * Get painted surface material at world position
+     * @param {number} x - World X
+     * @param {number} z - World Z
+     * @returns {string} Material name (TERRAIN.defaultMaterial without a material map)
+     */
+    getMaterialAt(x, z) {
+      return (materials && materials.getMaterialAtWorld(x, z)) || CONFIG.TERRAIN.defaultMaterial;
+    },
+
     /**
      * Check if a world position is within terrain bounds
      * @param {number} x - World X
@@ -315,6 +340,7 @@ export function createFlatColoredTerrain(options = {}) {
     },
     getHeightAt: () => 0,
     getNormalAt: () => new THREE.Vector3(0, 1, 0),
+    getMaterialAt: () => CONFIG.TERRAIN.defaultMaterial,
     isInBounds(x, z) {
       const halfSize = size / 2;
       return x >= -halfSize && x <= halfSize && z >= -halfSize && z <= halfSize;
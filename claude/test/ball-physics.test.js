@@ -0,0 +1,160 @@
+// Ball physics - flight, bounce and roll state machine on stub terrain
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import * as THREE from 'three';
+import { createBall, stepBall, getShotProfile, simulateShot, getLaunchVelocity, createBallStepper, isBallMoving } from '../ball-physics.js';
+import { PROJECTILE, MORTAR } from '../config.js';
+import { createTreeColliders } from '../trees.js';
+import { createWind } from '../wind.js';
+import { createFlatTerrain, createSlopedTerrain, launchDirection } from './helpers.js';
+
+const standardShot = { charge: 'standard', kick: 'full', hang: 'carry', break: 'roll' };
+
+function shoot(terrain, selections = standardShot, elevationDeg = 35) {
+  return simulateShot({
+    muzzlePosition: new THREE.Vector3(0, 1, 0),
+    direction: launchDirection(elevationDeg),
+    profile: getShotProfile(selections)
+  }, { terrain });
+}
+
+// Order in which the ball passed through its states
+function stateSequence(track) {
+  return track.map(sample => sample.state).filter((state, i, states) => states[i - 1] !== state);
+}
+
+test('flat ground: flies, bounces, rolls and stops', () => {
+  const result = shoot(createFlatTerrain());
+  assert.equal(result.state, 'stopped');
+  assert.deepEqual(stateSequence(result.track), ['flying', 'bouncing', 'rolling', 'stopped']);
+  assert.ok(result.bounceCount > 0);
+  assert.ok(Math.abs(result.finalPosition.y - PROJECTILE.radius) < 1e-9);
+  // Rolls on past the first landing, straight down the line
+  assert.ok(result.finalPosition.z > result.landing.z);
+  assert.ok(Math.abs(result.finalPosition.x) < 1e-9);
+});
+
+test('a slow touchdown goes straight to rolling', () => {
+  const ball = createBall(
+    new THREE.Vector3(0, PROJECTILE.radius + 0.001, 0),
+    new THREE.Vector3(0, -0.1, 2),
+    getShotProfile(standardShot),
+    new THREE.Vector3()
+  );
+  const env = { terrain: createFlatTerrain() };
+  stepBall(ball, PROJECTILE.fixedStep, env);
+  assert.equal(ball.state, 'rolling');
+  assert.equal(ball.bounceCount, 0);
+});
+
+test('stick stops shorter than bounce', () => {
+  const terrain = createFlatTerrain();
+  const stick = shoot(terrain, { ...standardShot, break: 'stick' });
+  const bounce = shoot(terrain, { ...standardShot, break: 'bounce' });
+  assert.ok(stick.finalPosition.z < bounce.finalPosition.z);
+  assert.ok(stick.bounceCount <= bounce.bounceCount);
+});
+
+test('uphill slope shortens the shot, downhill lengthens it', () => {
+  const flat = shoot(createFlatTerrain());
+  const uphill = shoot(createSlopedTerrain({ grade: 0.1 }));
+  const downhill = shoot(createSlopedTerrain({ grade: -0.1 }));
+  assert.ok(uphill.finalPosition.z < flat.finalPosition.z);
+  assert.ok(downhill.finalPosition.z > flat.finalPosition.z);
+});
+
+test('a ball resting on a slope rolls downhill', () => {
+  const terrain = createSlopedTerrain({ grade: 0.3 });
+  const ball = createBall(
+    new THREE.Vector3(0, terrain.getHeightAt(0, 10) + PROJECTILE.radius, 10),
+    new THREE.Vector3(),
+    getShotProfile(standardShot),
+    new THREE.Vector3()
+  );
+  ball.state = 'rolling';
+  const env = { terrain };
+  for (let i = 0; i < 60; i++) stepBall(ball, PROJECTILE.fixedStep, env);
+  assert.ok(ball.position.z < 10);
+  assert.ok(Math.abs(ball.position.y - (terrain.getHeightAt(0, ball.position.z) + PROJECTILE.radius)) < 1e-9);
+});
+
+test('rough holds the ball up more than green', () => {
+  const green = shoot(createFlatTerrain({ material: 'green' }));
+  const rough = shoot(createFlatTerrain({ material: 'rough' }));
+  assert.ok(rough.finalPosition.z < green.finalPosition.z);
+});
+
+test('landing in water sinks the ball', () => {
+  const result = shoot(createFlatTerrain({ material: 'water' }));
+  assert.equal(result.state, 'sunk');
+  assert.equal(result.bounceCount, 0);
+});
+
+test('leaving the terrain ends the shot out of bounds', () => {
+  const terrain = { ...createFlatTerrain(), isInBounds: (x, z) => z < 10 };
+  assert.equal(shoot(terrain).state, 'out');
+});
+
+test('the same shot always lands in the same place', () => {
+  const terrain = createSlopedTerrain({ grade: 0.05 });
+  const first = shoot(terrain);
+  const second = shoot(terrain);
+  assert.deepEqual(second.finalPosition.toArray(), first.finalPosition.toArray());
+  assert.equal(second.time, first.time);
+});
+
+test('a gusting shot lands in the same place at any frame rate', () => {
+  const landAt = (fps) => {
+    const wind = createWind();
+    wind.setWind({ direction: 90, strength: 4, gust: 3 });
+    const profile = getShotProfile(standardShot);
+    const start = new THREE.Vector3(0, 1, 0);
+    const ball = createBall(start, getLaunchVelocity(launchDirection(35), profile), profile, start);
+    const stepper = createBallStepper({ terrain: createFlatTerrain() });
+    stepper.setWind(wind);
+    while (isBallMoving(ball)) stepper.advance([ball], 1 / fps);
+    return ball.position;
+  };
+
+  const slow = landAt(30);
+  assert.ok(Math.abs(slow.x) > 1);
+  assert.deepEqual(landAt(144).toArray(), slow.toArray());
+});
+
+test('the mortar covers the putting radius across its elevation range', () => {
+  const heavy = { charge: 'heavy', kick: 'full', hang: 'carry', break: 'stick' };
+  const light = { charge: 'light', kick: 'full', hang: 'carry', break: 'stick' };
+  const carry = (selections, elevationDeg) => simulateShot({
+    muzzlePosition: new THREE.Vector3(0, 1, 0),
+    direction: launchDirection(elevationDeg),
+    profile: getShotProfile(selections, undefined, MORTAR.charge)
+  }, { terrain: createFlatTerrain() }).landing.z;
+
+  assert.ok(carry(heavy, MORTAR.minElevation) > MORTAR.puttingRadius * 0.8);
+  assert.ok(carry(light, MORTAR.maxElevation) < 3);
+});
+
+// Ball flying along +Z towards a broadleaf tree at the origin, stepped for `time` seconds
+function flyAtTree(height, velocity, trees, time = 0.4) {
+  const ball = createBall(new THREE.Vector3(0, height, -4), velocity, getShotProfile(standardShot), new THREE.Vector3());
+  const env = { terrain: createFlatTerrain(), trees };
+  while (ball.time < time) stepBall(ball, PROJECTILE.fixedStep, env);
+  return ball;
+}
+const tree = createTreeColliders([{ type: 'deciduous', x: 0, y: 0, z: 0, scale: 1, rotation: 0, tiltX: 0, tiltZ: 0 }]);
+
+test('a ball hitting a trunk bounces back off it', () => {
+  const ball = flyAtTree(0.8, new THREE.Vector3(0, 0, 25), tree);
+  assert.ok(ball.velocity.z < 0);
+  assert.ok(ball.position.z < -0.18 - PROJECTILE.radius + 1e-9);
+  // Open ground: the same ball carries on past the tree
+  assert.ok(flyAtTree(0.8, new THREE.Vector3(0, 0, 25), null).position.z > 4);
+});
+
+test('a ball through a canopy is slowed and stops climbing', () => {
+  const launch = new THREE.Vector3(0, 4, 20);
+  const open = flyAtTree(2.2, launch, null, 0.25);
+  const through = flyAtTree(2.2, launch, tree, 0.25);
+  assert.ok(through.velocity.z < open.velocity.z * 0.5);
+  assert.ok(through.position.y < open.position.y);
+});
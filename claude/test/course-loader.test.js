@@ -0,0 +1,127 @@
+// Course loader - codex course exports and course manifests
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFileSync, existsSync } from 'node:fs';
+import { parseCourse, parseCourseManifest, loadCourseManifest, loadCourseCatalog } from '../course-loader.js';
+import { loadTerrainFiles } from '../terrain-heightmap.js';
+import { COURSE, getCourseManifestPath, getCoursePar } from '../config.js';
+
+const hole = (overrides = {}) => ({
+  par: 4,
+  cannon: { x: -50, y: 2, z: 0 },
+  flag: { x: 40, y: 1, z: 10 },
+  ...overrides
+});
+
+test('the bundled course file matches the built-in layout', () => {
+  const course = parseCourse(JSON.parse(readFileSync(new URL('../courses/artillery-range/course.json', import.meta.url), 'utf8')));
+  assert.equal(course.name, COURSE.name);
+  assert.equal(course.holeCount, COURSE.holes.length);
+  course.holes.forEach((parsed, i) => {
+    const builtIn = COURSE.holes[i];
+    assert.equal(parsed.number, builtIn.number);
+    assert.equal(parsed.par, builtIn.par);
+    assert.deepEqual(parsed.cannon, builtIn.cannon);
+    assert.deepEqual(parsed.flag, builtIn.flag);
+    assert.deepEqual(parsed.wind, builtIn.wind);
+    assert.ok(parsed.name.length > 0);
+  });
+});
+
+test('holes are numbered in order and unnamed holes get a default name', () => {
+  const course = parseCourse({ name: 'Test', holes: [hole({ number: 7, name: 'Cliff' }), hole({ name: '  ' })] });
+  assert.deepEqual(course.holes.map(h => h.number), [1, 2]);
+  assert.deepEqual(course.holes.map(h => h.name), ['Cliff', 'Hole 2']);
+  assert.equal(course.holeCount, 2);
+});
+
+test('missing positions, bad par and empty courses are rejected', () => {
+  assert.throws(() => parseCourse({ holes: [] }), /no holes/);
+  assert.throws(() => parseCourse({ holes: [hole(), hole({ flag: null })] }), /Hole 2: missing flag/);
+  assert.throws(() => parseCourse({ holes: [hole({ cannon: { x: 1 } })] }), /Hole 1: missing tee/);
+  assert.throws(() => parseCourse({ holes: [hole({ par: 3.5 })] }), /par/);
+  assert.throws(() => parseCourse('course'), /not a JSON object/);
+});
+
+test('hole winds are checked and gust defaults to calm', () => {
+  const wind = (value) => parseCourse({ holes: [hole({ wind: value })] }).holes[0].wind;
+  assert.deepEqual(wind({ direction: 90, strength: 3 }), { direction: 90, strength: 3, gust: 0 });
+  assert.equal(wind(undefined), undefined);
+  assert.throws(() => wind({ strength: 3 }), /Hole 1: wind direction/);
+  assert.throws(() => wind({ direction: '90', strength: 3 }), /wind direction/);
+  assert.throws(() => wind({ direction: 90, strength: -1 }), /wind strength/);
+  assert.throws(() => wind({ direction: 90, strength: 2, gust: NaN }), /wind gust/);
+  assert.throws(() => wind('calm'), /wind is not an object/);
+});
+
+// Serve files from the game folder in place of the browser's fetch
+function withLocalFetch(overrides, run) {
+  const originalFetch = globalThis.fetch;
+  globalThis.fetch = async (path) => {
+    const url = new URL(`../${path.replace(/^\.\//, '')}`, import.meta.url);
+    const body = overrides[path] || (existsSync(url) ? readFileSync(url) : null);
+    if (!body) return new Response(null, { status: 404 });
+    return new Response(body);
+  };
+  return run().finally(() => { globalThis.fetch = originalFetch; });
+}
+
+const terrain = (overrides = {}) => ({
+  terrainSize: 220, resolution: 2, maxHeight: 10, exportType: 'float32', binaryFile: 'flat.raw', ...overrides
+});
+
+test('the bundled manifest loads its terrain, holes and settings', () => withLocalFetch({}, async () => {
+  const manifest = await loadCourseManifest(getCourseManifestPath(COURSE.defaultId));
+  assert.equal(manifest.name, 'Artillery Range');
+  assert.equal(manifest.course.holeCount, COURSE.holes.length);
+  assert.equal(manifest.terrain.resolution, 128);
+  assert.equal(manifest.lighting.hour, 12);
+  assert.ok(manifest.trees.density > 0);
+
+  const terrainData = await loadTerrainFiles(manifest.terrain, manifest.terrainPath, { requireMaterials: true });
+  assert.ok(terrainData.materials);
+}));
+
+test('every catalog course loads with greens under its flags', () => withLocalFetch({}, async () => {
+  const ids = await loadCourseCatalog(COURSE.catalogFile);
+  assert.ok(ids.length >= 2);
+  for (const id of ids) {
+    const manifest = await loadCourseManifest(getCourseManifestPath(id));
+    const { materials } = await loadTerrainFiles(manifest.terrain, manifest.terrainPath, { requireMaterials: true });
+    assert.ok(getCoursePar(manifest.course) >= manifest.course.holeCount * 3, id);
+    manifest.course.holes.forEach(hole => {
+      assert.equal(materials.getMaterialAtWorld(hole.flag.x, hole.flag.z), 'green', `${id} hole ${hole.number}`);
+    });
+  }
+}));
+
+test('manifest problems are named', () => {
+  const path = './courses/test/manifest.json';
+  const manifest = (overrides) => ({ version: 1, name: 'Test', terrain: terrain(), holes: [hole()], ...overrides });
+
+  assert.equal(parseCourseManifest(manifest(), path).course.name, 'Test');
+  assert.equal(parseCourseManifest(manifest({ texture: 'grass.png' }), path).texture, './courses/test/grass.png');
+  assert.throws(() => parseCourseManifest(manifest({ version: 2 }), path), /unsupported version 2/);
+  assert.throws(() => parseCourseManifest(manifest({ terrain: terrain({ exportType: 'int8' }) }), path), /unknown exportType "int8"/);
+  assert.throws(() => parseCourseManifest(manifest({ terrain: terrain({ binaryFile: '' }) }), path), /missing heightmap/);
+  assert.throws(() => parseCourseManifest(manifest({ holes: [hole({ par: 0 })] }), path), /Hole 1: par/);
+  assert.throws(() => parseCourseManifest(manifest({ lighting: { hour: 30 } }), path), /lighting.hour/);
+  assert.throws(() => getCourseManifestPath('../secret'), /Invalid course id/);
+});
+
+test('missing files and wrong vertex counts are reported', () => {
+  const path = './courses/test/manifest.json';
+  const files = {
+    [path]: JSON.stringify({ version: 1, name: 'Test', terrain: terrain(), holes: 'holes.json' }),
+    './courses/test/holes.json': JSON.stringify({ holes: [hole()] })
+  };
+  return withLocalFetch(files, async () => {
+    await assert.rejects(loadCourseManifest('./courses/none/manifest.json'), /Missing course manifest/);
+    await assert.rejects(loadCourseManifest(path), /Missing heightmap: .\/courses\/test\/flat.raw/);
+
+    // 3x3 vertices need 9 float32 values
+    files['./courses/test/flat.raw'] = new Float32Array(8);
+    const manifest = await loadCourseManifest(path);
+    await assert.rejects(loadTerrainFiles(manifest.terrain, manifest.terrainPath), /wrong vertex count: expected 9/);
+  });
+});
@@ -0,0 +1,98 @@
+// Game state machine - stage cycling and direct access rules
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createGameState } from '../game-state.js';
+
+const DRONE_VIEW = 4;
+
+function stageIds(gameState) {
+  return gameState.getStages().map(stage => stage.id);
+}
+
+test('starts in Idle', () => {
+  const gameState = createGameState({});
+  assert.equal(gameState.getCurrentStage().id, 'idle');
+  assert.equal(gameState.getStageIndex(), 0);
+});
+
+test('cycling forward skips Drone View and wraps to Idle', () => {
+  const gameState = createGameState({});
+  const visited = [];
+  for (let i = 0; i < 5; i++) {
+    gameState.cycleNext();
+    visited.push(gameState.getStageIndex());
+  }
+  assert.deepEqual(visited, [1, 2, 3, 5, 0]);
+});
+
+test('cycling backward skips Drone View and wraps to Move To Next Shot', () => {
+  const gameState = createGameState({});
+  const visited = [];
+  for (let i = 0; i < 5; i++) {
+    gameState.cyclePrev();
+    visited.push(gameState.getStageIndex());
+  }
+  assert.deepEqual(visited, [5, 3, 2, 1, 0]);
+});
+
+test('Digit5 (direct access to Drone View) is blocked', () => {
+  const gameState = createGameState({});
+  assert.equal(gameState.goToStage(DRONE_VIEW), false);
+  assert.equal(gameState.getCurrentStage().id, 'idle');
+});
+
+test('forced changes can enter Drone View (auto-follow)', () => {
+  const gameState = createGameState({});
+  assert.equal(gameState.goToStage(DRONE_VIEW, true), true);
+  assert.equal(gameState.getCurrentStage().id, 'drone-view');
+});
+
+test('Drone View cannot cycle and only leaves for Idle', () => {
+  const gameState = createGameState({});
+  gameState.triggerAction(); // Idle action enters Drone View
+  assert.equal(gameState.getCurrentStage().id, 'drone-view');
+
+  assert.equal(gameState.cycleNext(), false);
+  assert.equal(gameState.cyclePrev(), false);
+  assert.equal(gameState.goToStage(2), false);
+  assert.equal(gameState.getCurrentStage().id, 'drone-view');
+
+  assert.equal(gameState.goToStage(0), true);
+  assert.equal(gameState.getCurrentStage().id, 'idle');
+});
+
+test('exit/enter callbacks and listeners fire in order', () => {
+  const events = [];
+  const gameState = createGameState({
+    onStageExit: (stage) => events.push(`exit:${stage.id}`),
+    onStageEnter: (stage) => events.push(`enter:${stage.id}`)
+  });
+  gameState.onStageChange((newStage, oldStage) => events.push(`change:${oldStage.id}>${newStage.id}`));
+
+  gameState.goToStage(3);
+  assert.deepEqual(events, ['exit:idle', 'enter:fire-cannon', 'change:idle>fire-cannon']);
+});
+
+test('going to the current stage is a no-op', () => {
+  let entered = 0;
+  const gameState = createGameState({ onStageEnter: () => entered++ });
+  assert.equal(gameState.goToStage(0), false);
+  assert.equal(entered, 0);
+});
+
+test('stage actions reach their callbacks', () => {
+  const calls = [];
+  const gameState = createGameState({
+    fireCannon: () => calls.push('fire'),
+    moveToNextShot: () => calls.push('move')
+  });
+  gameState.goToStage(3);
+  gameState.triggerAction();
+  gameState.goToStage(5);
+  gameState.triggerAction();
+  assert.deepEqual(calls, ['fire', 'move']);
+});
+
+test('stage list keeps Drone View at index 4', () => {
+  assert.equal(stageIds(createGameState({}))[DRONE_VIEW], 'drone-view');
+});
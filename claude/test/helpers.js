@@ -0,0 +1,29 @@
+// Test helpers - stub terrains for the ball physics (no DOM or GPU needed)
+import * as THREE from 'three';
+
+// Flat ground at height y, one material everywhere
+export function createFlatTerrain({ y = 0, material = 'fairway' } = {}) {
+  return {
+    getHeightAt: () => y,
+    getNormalAt: () => new THREE.Vector3(0, 1, 0),
+    getMaterialAt: () => material,
+    isInBounds: () => true
+  };
+}
+
+// Plane rising along +Z at the given grade (rise / run), one material everywhere
+export function createSlopedTerrain({ grade = 0.1, material = 'fairway' } = {}) {
+  const normal = new THREE.Vector3(0, 1, -grade).normalize();
+  return {
+    getHeightAt: (x, z) => z * grade,
+    getNormalAt: () => normal.clone(),
+    getMaterialAt: () => material,
+    isInBounds: () => true
+  };
+}
+
+// Straight down the +Z axis at an elevation angle (degrees)
+export function launchDirection(elevationDeg) {
+  const elevation = THREE.MathUtils.degToRad(elevationDeg);
+  return new THREE.Vector3(0, Math.sin(elevation), Math.cos(elevation));
+}
@@ -0,0 +1,26 @@
+// Howitzer lanyard - pull strength to shot quality
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { LANYARD } from '../config.js';
+import { getLanyardPullQuality } from '../cannon.js';
+
+test('a pull below the minimum does not fire', () => {
+  assert.equal(getLanyardPullQuality(0, LANYARD), null);
+  assert.equal(getLanyardPullQuality(LANYARD.minPull - 0.01, LANYARD), null);
+});
+
+test('a firm pull is clean', () => {
+  assert.equal(getLanyardPullQuality(LANYARD.idealPull, LANYARD), 1);
+  assert.equal(getLanyardPullQuality((LANYARD.idealPull + LANYARD.yankPull) / 2, LANYARD), 1);
+  assert.equal(getLanyardPullQuality(LANYARD.yankPull, LANYARD), 1);
+});
+
+test('weak pulls and yanks lose quality down to the minimum', () => {
+  assert.equal(getLanyardPullQuality(LANYARD.minPull, LANYARD), LANYARD.minQuality);
+  assert.equal(getLanyardPullQuality(LANYARD.maxPull, LANYARD), LANYARD.minQuality);
+
+  const weak = getLanyardPullQuality((LANYARD.minPull + LANYARD.idealPull) / 2, LANYARD);
+  const yank = getLanyardPullQuality((LANYARD.yankPull + LANYARD.maxPull) / 2, LANYARD);
+  assert.ok(weak > LANYARD.minQuality && weak < 1);
+  assert.ok(yank > LANYARD.minQuality && yank < 1);
+});
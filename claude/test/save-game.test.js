@@ -0,0 +1,82 @@
+// Save game - snapshot round trip, version checks and migrations
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { SAVE_GAME } from '../config.js';
+import { createSaveStore, parseSaveGame } from '../save-game.js';
+
+// In-memory stand-in for localStorage
+function createMemoryStorage() {
+  const items = new Map();
+  return {
+    getItem: (key) => (items.has(key) ? items.get(key) : null),
+    setItem: (key, value) => items.set(key, String(value)),
+    removeItem: (key) => items.delete(key)
+  };
+}
+
+const state = () => ({
+  courseId: 'artillery-range',
+  courseName: 'Artillery Range',
+  practice: false,
+  session: { currentHole: 3, shotCount: 2, scores: [{ hole: 1, shots: 3, par: 3 }, { hole: 2, shots: 4, par: 3 }] },
+  round: { courseName: 'Artillery Range', practice: false, holes: [{ hole: 3, par: 4, strokes: [], shots: 2 }] },
+  weapon: {
+    type: 'mortar',
+    position: { x: 60, y: 2.5, z: 30 },
+    heading: 1.2,
+    aim: { howitzer: { rotation: -4, elevation: 38 }, mortar: { rotation: 6, elevation: 70 } }
+  },
+  ball: { x: 75, y: 1.8, z: 38 },
+  hour: 16.5
+});
+
+test('a saved round loads back unchanged', () => {
+  const store = createSaveStore(createMemoryStorage());
+  assert.equal(store.load(), null);
+
+  store.save(state());
+  const loaded = store.load();
+  assert.equal(loaded.version, SAVE_GAME.version);
+  const { version, savedAt, ...rest } = loaded;
+  assert.deepEqual(rest, state());
+  assert.ok(savedAt);
+
+  store.clear();
+  assert.equal(store.load(), null);
+});
+
+test('unreadable, newer and incomplete saves are rejected and removed', () => {
+  const storage = createMemoryStorage();
+  const store = createSaveStore(storage);
+
+  storage.setItem(SAVE_GAME.storageKey, '{not json');
+  assert.equal(store.load(), null);
+  assert.equal(storage.getItem(SAVE_GAME.storageKey), null);
+
+  storage.setItem(SAVE_GAME.storageKey, JSON.stringify({ ...state(), version: SAVE_GAME.version + 1 }));
+  assert.equal(store.load(), null);
+  assert.equal(storage.getItem(SAVE_GAME.storageKey), null);
+
+  const save = { ...state(), version: SAVE_GAME.version };
+  assert.throws(() => parseSaveGame({ ...save, version: SAVE_GAME.version + 1 }), /newer than this game/);
+  assert.throws(() => parseSaveGame({ ...save, session: { ...save.session, currentHole: 0 } }), /current hole/);
+  assert.throws(() => parseSaveGame({ ...save, weapon: { ...save.weapon, type: 'catapult' } }), /weapon/);
+  assert.throws(() => parseSaveGame({ ...save, ball: { x: 1 } }), /ball position/);
+  assert.throws(() => parseSaveGame({ ...save, hour: 30 }), /time of day/);
+});
+
+test('older saves run through each migration in turn', () => {
+  // Version 1 had no time of day; version 2 stored the hour as minutes
+  const migrations = {
+    1: (save) => ({ ...save, minutes: 720 }),
+    2: ({ minutes, ...save }) => ({ ...save, hour: minutes / 60 })
+  };
+  const { hour, ...oldSave } = state();
+  const migrated = parseSaveGame({ ...oldSave, version: 1 }, { version: 3, migrations });
+  assert.equal(migrated.version, 3);
+  assert.equal(migrated.hour, 12);
+  assert.equal(migrated.minutes, undefined);
+
+  assert.throws(() => parseSaveGame({ ...state(), version: 1 }, { version: 3, migrations: { 2: migrations[2] } }),
+    /version 1 can't be upgraded to 3/);
+});
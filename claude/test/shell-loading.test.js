@@ -0,0 +1,85 @@
+// Shell loading - stance checks and the insertion animation
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import * as THREE from 'three';
+import { CANNON } from '../config.js';
+import { checkLoadingPosition, createShellLoader } from '../shell-loading.js';
+
+// Weapon at the origin firing down +Z; howitzer loads 0.5m behind, mortar 1.5m up the tube
+function createWeapon(loadEnd) {
+  const loadedBall = new THREE.Mesh(new THREE.SphereGeometry(0.12, 8, 8));
+  loadedBall.position.set(0, 0.5, 0.3);
+  return {
+    loadEnd,
+    getPosition: () => new THREE.Vector3(0, 0, 0),
+    getFiringDirection: () => new THREE.Vector3(0, 0.5, 1).normalize(),
+    getLoadPoint: () => loadEnd === 'breech' ? new THREE.Vector3(0, 0.6, -0.5) : new THREE.Vector3(0, 1.5, 0.3),
+    getLoadedBall: () => loadedBall
+  };
+}
+
+// Eye at (x, 1.7, z) looking at a point
+function look(x, z, target) {
+  const eye = new THREE.Vector3(x, 1.7, z);
+  return [eye, target.clone().sub(eye).normalize()];
+}
+
+test('loads when behind the breech and looking at it', () => {
+  const howitzer = createWeapon('breech');
+  const [eye, view] = look(0, -1.8, howitzer.getLoadPoint());
+  assert.equal(checkLoadingPosition(eye, view, howitzer, CANNON), null);
+});
+
+test('too far from the loading end falls back to the normal action', () => {
+  const howitzer = createWeapon('breech');
+  const [eye, view] = look(0, -3, howitzer.getLoadPoint());
+  assert.equal(checkLoadingPosition(eye, view, howitzer, CANNON), 'far');
+});
+
+test('howitzer refuses loading from the muzzle side, mortar from behind', () => {
+  const howitzer = createWeapon('breech');
+  const mortar = createWeapon('muzzle');
+  let [eye, view] = look(0, 1.2, howitzer.getLoadPoint());
+  assert.equal(checkLoadingPosition(eye, view, howitzer, CANNON), 'wrong-end');
+  [eye, view] = look(0, -1, mortar.getLoadPoint());
+  assert.equal(checkLoadingPosition(eye, view, mortar, CANNON), 'wrong-end');
+  [eye, view] = look(0, 1.5, mortar.getLoadPoint());
+  assert.equal(checkLoadingPosition(eye, view, mortar, CANNON), null);
+});
+
+test('looking away from the opening is refused', () => {
+  const howitzer = createWeapon('breech');
+  const eye = new THREE.Vector3(0, 1.7, -1.8);
+  assert.equal(checkLoadingPosition(eye, new THREE.Vector3(0, 0, -1), howitzer, CANNON), 'facing-away');
+});
+
+test('shell travels to the seated ball and calls back once', () => {
+  const scene = new THREE.Scene();
+  const loader = createShellLoader(scene, CANNON);
+  const weapon = createWeapon('breech');
+  const held = new THREE.Mesh(new THREE.SphereGeometry(0.05, 8, 8));
+  held.position.set(0, 1.5, -2);
+  scene.add(held);
+
+  let loaded = 0;
+  assert.equal(loader.start(held, weapon, () => loaded++), true);
+  assert.equal(loader.start(held, weapon, () => loaded++), false);
+  assert.equal(loader.isActive(), true);
+
+  for (let i = 0; i < 60 && loader.isActive(); i++) loader.update(1 / 60);
+  assert.equal(loader.isActive(), false);
+  assert.equal(loaded, 1);
+  assert.equal(scene.children.length, 1);
+});
+
+test('finish seats the shell immediately', () => {
+  const scene = new THREE.Scene();
+  const loader = createShellLoader(scene, CANNON);
+  const held = new THREE.Mesh(new THREE.SphereGeometry(0.05, 8, 8));
+  let loaded = 0;
+  loader.start(held, createWeapon('muzzle'), () => loaded++);
+  loader.finish();
+  loader.finish();
+  assert.equal(loaded, 1);
+  assert.equal(loader.isActive(), false);
+});
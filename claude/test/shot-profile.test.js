@@ -0,0 +1,62 @@
+// getShotProfile - every Charge/Kick/Hang/Break combination
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { getShotProfile } from '../ball-physics.js';
+import { SHOT_PROFILE, LIE, MORTAR } from '../config.js';
+
+const charges = Object.keys(SHOT_PROFILE.charge);
+const kicks = Object.keys(SHOT_PROFILE.kick);
+const hangs = Object.keys(SHOT_PROFILE.hang);
+const breaks = Object.keys(SHOT_PROFILE.break);
+
+for (const charge of charges) {
+  for (const kick of kicks) {
+    for (const hang of hangs) {
+      for (const breakName of breaks) {
+        test(`${charge} / ${kick} / ${hang} / ${breakName}`, () => {
+          const profile = getShotProfile({ charge, kick, hang, break: breakName });
+          const kickProfile = SHOT_PROFILE.kick[kick];
+          const breakProfile = SHOT_PROFILE.break[breakName];
+
+          const speed = SHOT_PROFILE.baseSpeed * SHOT_PROFILE.charge[charge] * kickProfile.speedMult;
+          assert.ok(Math.abs(profile.speed - speed) < 1e-9);
+          assert.equal(profile.kickPitch, kickProfile.pitch);
+          assert.equal(profile.airDragK, SHOT_PROFILE.hang[hang]);
+          assert.equal(profile.friction, breakProfile.friction);
+          assert.equal(profile.rollMult, breakProfile.rollMult);
+          assert.equal(profile.mass, SHOT_PROFILE.fixedMass);
+
+          const coupling = SHOT_PROFILE.chargeCoupling[charge] || 0;
+          const restitution = Math.max(0, Math.min(breakProfile.restitution + coupling, 0.95));
+          assert.ok(Math.abs(profile.restitution - restitution) < 1e-9);
+          assert.ok(profile.restitution >= 0 && profile.restitution <= 0.95);
+        });
+      }
+    }
+  }
+}
+
+test('unknown selections fall back to standard / full / carry / roll', () => {
+  const profile = getShotProfile({ charge: 'huge', kick: 'wild', hang: 'float', break: 'splat' });
+  const standard = getShotProfile({ charge: 'standard', kick: 'full', hang: 'carry', break: 'roll' });
+  assert.deepEqual(profile, standard);
+});
+
+test('the lie scales the charge', () => {
+  const selections = { charge: 'standard', kick: 'full', hang: 'carry', break: 'roll' };
+  const fairway = getShotProfile(selections, LIE.fairway);
+  const rough = getShotProfile(selections, LIE.rough);
+  assert.ok(Math.abs(rough.speed - fairway.speed * LIE.rough.chargeMult) < 1e-9);
+  assert.equal(rough.restitution, fairway.restitution);
+});
+
+test('the mortar fires from its reduced charge table', () => {
+  for (const charge of Object.keys(MORTAR.charge)) {
+    const selections = { charge, kick: 'full', hang: 'carry', break: 'roll' };
+    const mortar = getShotProfile(selections, LIE.fairway, MORTAR.charge);
+    assert.ok(Math.abs(mortar.speed - SHOT_PROFILE.baseSpeed * MORTAR.charge[charge]) < 1e-9);
+    assert.ok(mortar.speed < getShotProfile(selections).speed);
+  }
+  const unknown = getShotProfile({ charge: 'huge', kick: 'full', hang: 'carry', break: 'roll' }, LIE.fairway, MORTAR.charge);
+  assert.ok(Math.abs(unknown.speed - SHOT_PROFILE.baseSpeed * MORTAR.charge.standard) < 1e-9);
+});
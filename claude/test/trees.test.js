@@ -0,0 +1,54 @@
+// Trees - seeded placement, collider lookups and trunks blocking the walker
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import * as THREE from 'three';
+import { placeTrees, createTreeColliders } from '../trees.js';
+import { createWalkingController } from '../walking.js';
+import { CONTROLS } from '../config.js';
+import { createFlatTerrain } from './helpers.js';
+
+// Level ground halfway up the height range
+const heightmap = {
+  width: 65,
+  minHeight: 0,
+  maxHeight: 10,
+  getHeightInterpolated: () => 5
+};
+const terrainConfig = { worldSize: 120, offsetX: 0, offsetZ: 0, offsetY: 0 };
+
+test('the same seed grows the same forest, and the filter keeps trees out', () => {
+  const forest = placeTrees(heightmap, terrainConfig, { seed: 42, density: 0.4 });
+  assert.ok(forest.length > 20);
+  assert.deepEqual(placeTrees(heightmap, terrainConfig, { seed: 42, density: 0.4 }), forest);
+  assert.notDeepEqual(placeTrees(heightmap, terrainConfig, { seed: 43, density: 0.4 }), forest);
+  forest.forEach(tree => assert.equal(tree.y, 5));
+
+  const westOnly = placeTrees(heightmap, terrainConfig, { seed: 42, density: 0.4 }, (x) => x < 0);
+  assert.ok(westOnly.length > 0);
+  assert.ok(westOnly.every(tree => tree.x < 0));
+});
+
+test('colliders are found from any point near their tree', () => {
+  const colliders = createTreeColliders([
+    { type: 'pine', x: 10, y: 2, z: 10, scale: 1, rotation: 0, tiltX: 0, tiltZ: 0 },
+    { type: 'bush', x: -30, y: 0, z: 5, scale: 1, rotation: 0, tiltX: 0, tiltZ: 0 }
+  ]);
+  assert.equal(colliders.count, 2);
+
+  const [pine] = colliders.nearby(12, 9);
+  assert.equal(pine.trunkRadius, 0.15);
+  assert.ok(Math.abs(pine.trunkTop - 3.2) < 1e-9);
+  assert.ok(pine.canopy.y > pine.trunkTop - 1);
+  assert.equal(colliders.nearby(-30, 5)[0].trunkRadius, 0);
+  assert.equal(colliders.nearby(60, 60).length, 0);
+});
+
+test('walking into a trunk stops at arm\'s length', () => {
+  const camera = { position: new THREE.Vector3(0, CONTROLS.eyeHeight, -3) };
+  const walking = createWalkingController(camera, createFlatTerrain(), CONTROLS);
+  walking.setTrees(createTreeColliders([{ type: 'deciduous', x: 0, y: 0, z: 0, scale: 1, rotation: 0, tiltX: 0, tiltZ: 0 }]));
+
+  const forward = new THREE.Vector3(0, 0, 1);
+  for (let i = 0; i < 120; i++) walking.update(1 / 60, forward, CONTROLS.moveSpeed);
+  assert.ok(Math.abs(camera.position.z + 0.18 + CONTROLS.bodyRadius) < 1e-6);
+});
@@ -1,13 +1,17 @@
-// Trees module - stylized tree models and terrain placement
+// Trees module - stylized tree models, terrain placement and collision shapes
+// Placement is seeded (same settings, same forest); each model part is drawn as one InstancedMesh
 import * as THREE from 'three';
+import { TREES } from './config.js';
 
-// Tree configuration defaults
-const TREE_DEFAULTS = {
+// Tree configuration defaults (a course manifest's trees section overrides these)
+export const TREE_DEFAULTS = {
   density: 0.15,           // Base density (0-1)
   minSlope: 0,             // Minimum slope angle (degrees)
   maxSlope: 35,            // Maximum slope angle for tree placement
   minScale: 0.8,           // Minimum tree scale
   maxScale: 1.4,           // Maximum tree scale
+  minHeight: 0.15,         // Lowest ground for trees, as a fraction of the terrain's height range
+  maxHeight: 0.85,         // Highest ground for trees (snow line)
   clusterStrength: 0.6,    // How much trees cluster into forests (0-1)
   sparseness: 0.3,         // Creates sparse clearings (0-1)
   seed: 12345              // Random seed for placement
@@ -106,88 +110,65 @@ const foliageMaterialLight = new THREE.MeshStandardMaterial({
   flatShading: true
 });
 
-// Create a stylized low-poly pine tree
-function createPineTree() {
-  const tree = new THREE.Group();
-
-  // Trunk - tapered cylinder
-  const trunkGeometry = new THREE.CylinderGeometry(0.08, 0.15, 1.2, 6);
-  const trunk = new THREE.Mesh(trunkGeometry, trunkMaterial);
-  trunk.position.y = 0.6;
-  trunk.castShadow = true;
-  trunk.receiveShadow = true;
-  tree.add(trunk);
-
-  // Foliage - stacked cones (3 layers)
-  const layers = [
-    { radius: 0.7, height: 1.0, y: 1.4 },
-    { radius: 0.55, height: 0.9, y: 2.1 },
-    { radius: 0.4, height: 0.8, y: 2.7 }
-  ];
-
-  layers.forEach((layer, i) => {
-    const coneGeometry = new THREE.ConeGeometry(layer.radius, layer.height, 6);
-    const material = i === 0 ? foliageMaterialDark : (i === 1 ? foliageMaterial : foliageMaterialLight);
-    const cone = new THREE.Mesh(coneGeometry, material);
-    cone.position.y = layer.y;
-    cone.castShadow = true;
-    cone.receiveShadow = true;
-    tree.add(cone);
-  });
+// ========== TREE MODELS ==========
+// Parts of each model at scale 1, base at the origin: geometry, material and local transform
 
-  return tree;
+// Stylized low-poly pine: tapered trunk and three stacked cones
+function createPineParts() {
+  const cones = [
+    { radius: 0.7, height: 1.0, y: 1.4, material: foliageMaterialDark },
+    { radius: 0.55, height: 0.9, y: 2.1, material: foliageMaterial },
+    { radius: 0.4, height: 0.8, y: 2.7, material: foliageMaterialLight }
+  ];
+  return [
+    { geometry: new THREE.CylinderGeometry(0.08, 0.15, 1.2, 6), material: trunkMaterial, position: [0, 0.6, 0] },
+    ...cones.map(cone => ({
+      geometry: new THREE.ConeGeometry(cone.radius, cone.height, 6),
+      material: cone.material,
+      position: [0, cone.y, 0]
+    }))
+  ];
 }
 
-// Create a stylized low-poly deciduous tree
-function createDeciduousTree() {
-  const tree = new THREE.Group();
-
-  // Trunk
-  const trunkGeometry = new THREE.CylinderGeometry(0.1, 0.18, 1.5, 5);
-  const trunk = new THREE.Mesh(trunkGeometry, trunkMaterial);
-  trunk.position.y = 0.75;
-  trunk.castShadow = true;
-  trunk.receiveShadow = true;
-  tree.add(trunk);
-
-  // Foliage - dodecahedron for organic look
-  const foliageGeometry = new THREE.DodecahedronGeometry(1.0, 0);
-  const foliage = new THREE.Mesh(foliageGeometry, foliageMaterial);
-  foliage.position.y = 2.2;
-  foliage.scale.set(1, 0.85, 1);
-  foliage.rotation.y = Math.random() * Math.PI;
-  foliage.castShadow = true;
-  foliage.receiveShadow = true;
-  tree.add(foliage);
-
-  return tree;
+// Stylized low-poly deciduous tree: trunk and a dodecahedron crown
+function createDeciduousParts() {
+  return [
+    { geometry: new THREE.CylinderGeometry(0.1, 0.18, 1.5, 5), material: trunkMaterial, position: [0, 0.75, 0] },
+    { geometry: new THREE.DodecahedronGeometry(1.0, 0), material: foliageMaterial, position: [0, 2.2, 0], scale: [1, 0.85, 1] }
+  ];
 }
 
-// Create a small bush/shrub
-function createBush() {
-  const bush = new THREE.Group();
-
-  // Multiple small spheres clustered
-  const bushGeometry = new THREE.DodecahedronGeometry(0.4, 0);
-
-  const positions = [
-    { x: 0, y: 0.3, z: 0 },
-    { x: 0.25, y: 0.25, z: 0.15 },
-    { x: -0.2, y: 0.28, z: 0.2 },
-    { x: 0.1, y: 0.22, z: -0.25 }
+// Small bush/shrub: clustered dodecahedrons sharing one geometry
+function createBushParts() {
+  const geometry = new THREE.DodecahedronGeometry(0.4, 0);
+  const clumps = [
+    { x: 0, y: 0.3, z: 0, scale: 1.0 },
+    { x: 0.25, y: 0.25, z: 0.15, scale: 0.8 },
+    { x: -0.2, y: 0.28, z: 0.2, scale: 0.9 },
+    { x: 0.1, y: 0.22, z: -0.25, scale: 0.7 }
   ];
+  return clumps.map(clump => ({
+    geometry,
+    material: foliageMaterialDark,
+    position: [clump.x, clump.y, clump.z],
+    scale: [clump.scale, clump.scale, clump.scale]
+  }));
+}
 
-  positions.forEach(pos => {
-    const sphere = new THREE.Mesh(bushGeometry, foliageMaterialDark);
-    sphere.position.set(pos.x, pos.y, pos.z);
-    sphere.scale.setScalar(0.6 + Math.random() * 0.4);
-    sphere.castShadow = true;
-    sphere.receiveShadow = true;
-    bush.add(sphere);
-  });
+const TREE_MODELS = {
+  pine: createPineParts,
+  deciduous: createDeciduousParts,
+  bush: createBushParts
+};
 
-  return bush;
-}
+// Collision proportions at scale 1, matching the models above
+//   trunk: base radius and height (none for bushes)
+//   canopy: upright ellipsoid around the foliage (centre height, radius, half height)
+const TREE_SHAPES = {
+  pine: { trunkRadius: 0.15, trunkHeight: 1.2, canopy: { y: 2.0, radius: 0.7, halfHeight: 1.1 } },
+  deciduous: { trunkRadius: 0.18, trunkHeight: 1.5, canopy: { y: 2.2, radius: 1.0, halfHeight: 0.85 } },
+  bush: { trunkRadius: 0, trunkHeight: 0, canopy: { y: 0.28, radius: 0.55, halfHeight: 0.35 } }
+};
 
 // Calculate terrain slope at a point
 function calculateSlope(heightmap, u, v, worldSize) {
@@ -204,25 +185,23 @@ function calculateSlope(heightmap, u, v, worldSize) {
   return slopeAngle;
 }
 
-// Create tree instances for the terrain
-export function createTrees(heightmap, terrainConfig, treeConfig = {}) {
-  const config = { ...TREE_DEFAULTS, ...treeConfig };
-  const trees = new THREE.Group();
-  trees.name = 'trees';
+// ========== PLACEMENT ==========
 
+// Choose tree spots over the heightmap
+// terrainConfig: { worldSize, offsetX, offsetZ, offsetY }
+// isAllowed(x, z): optional extra filter in world space (e.g. painted surface, clear of tees and flags)
+// Returns [{ type ('pine' | 'deciduous' | 'bush'), x, y, z, scale, rotation, tiltX, tiltZ }]
+export function placeTrees(heightmap, terrainConfig, treeConfig = {}, isAllowed = null) {
+  const config = { ...TREE_DEFAULTS, ...treeConfig };
   const { worldSize, offsetX, offsetZ, offsetY } = terrainConfig;
-
-  // Position the tree container at terrain Y offset so trees move with terrain
-  trees.position.y = offsetY;
   const random = seededRandom(config.seed);
+  const placements = [];
 
   // Grid-based placement with jitter
   const gridSize = 3; // Base grid cell size
   const cellsX = Math.floor(worldSize / gridSize);
   const cellsZ = Math.floor(worldSize / gridSize);
 
-  let treeCount = 0;
-
   for (let gz = 0; gz < cellsZ; gz++) {
     for (let gx = 0; gx < cellsX; gx++) {
       // Random position within cell
@@ -256,71 +235,171 @@ export function createTrees(heightmap, terrainConfig, treeConfig = {}) {
 
       // Skip very low areas (water) or very high (snow peaks)
       const normalizedHeight = (height - heightmap.minHeight) / (heightmap.maxHeight - heightmap.minHeight);
-      if (normalizedHeight < 0.15 || normalizedHeight > 0.85) continue;
+      if (normalizedHeight < config.minHeight || normalizedHeight > config.maxHeight) continue;
+
+      if (isAllowed && !isAllowed(cellX, cellZ)) continue;
 
       // Choose tree type based on height and randomness
-      let tree;
+      let type;
       const typeRoll = random();
       if (normalizedHeight > 0.6 || typeRoll < 0.7) {
-        tree = createPineTree();
+        type = 'pine';
       } else if (typeRoll < 0.9) {
-        tree = createDeciduousTree();
+        type = 'deciduous';
       } else {
-        tree = createBush();
+        type = 'bush';
       }
 
-      // Position (Y is relative to container which is at offsetY)
-      tree.position.set(cellX, height, cellZ);
+      placements.push({
+        type,
+        x: cellX,
+        y: height + offsetY,
+        z: cellZ,
+        scale: config.minScale + random() * (config.maxScale - config.minScale),
+        rotation: random() * Math.PI * 2,
+        // Slight tilt (trees grow slightly towards light)
+        tiltX: (random() - 0.5) * 0.1,
+        tiltZ: (random() - 0.5) * 0.1
+      });
+    }
+  }
 
-      // Random scale
-      const scale = config.minScale + random() * (config.maxScale - config.minScale);
-      tree.scale.setScalar(scale);
+  return placements;
+}
 
-      // Random rotation
-      tree.rotation.y = random() * Math.PI * 2;
+// ========== RENDERING ==========
+
+// One InstancedMesh per model part, so the whole forest is a handful of draw calls
+export function createTreeMeshes(placements) {
+  const group = new THREE.Group();
+  group.name = 'trees';
+
+  const treeMatrix = new THREE.Matrix4();
+  const partMatrix = new THREE.Matrix4();
+  const instanceMatrix = new THREE.Matrix4();
+  const position = new THREE.Vector3();
+  const quaternion = new THREE.Quaternion();
+  const scale = new THREE.Vector3();
+  const euler = new THREE.Euler();
+
+  Object.entries(TREE_MODELS).forEach(([type, createParts]) => {
+    const trees = placements.filter(tree => tree.type === type);
+    if (trees.length === 0) return;
+
+    createParts().forEach(part => {
+      const mesh = new THREE.InstancedMesh(part.geometry, part.material, trees.length);
+      mesh.name = `trees-${type}`;
+      mesh.castShadow = true;
+      mesh.receiveShadow = true;
+
+      partMatrix.compose(
+        position.fromArray(part.position),
+        quaternion.identity(),
+        scale.fromArray(part.scale || [1, 1, 1])
+      );
+
+      trees.forEach((tree, i) => {
+        treeMatrix.compose(
+          position.set(tree.x, tree.y, tree.z),
+          quaternion.setFromEuler(euler.set(tree.tiltX, tree.rotation, tree.tiltZ)),
+          scale.setScalar(tree.scale)
+        );
+        mesh.setMatrixAt(i, instanceMatrix.multiplyMatrices(treeMatrix, partMatrix));
+      });
+      mesh.instanceMatrix.needsUpdate = true;
+      mesh.computeBoundingSphere();
+      group.add(mesh);
+    });
+  });
 
-      // Slight tilt based on slope (trees grow slightly towards light)
-      tree.rotation.x = (random() - 0.5) * 0.1;
-      tree.rotation.z = (random() - 0.5) * 0.1;
+  return group;
+}
+
+// ========== COLLISION ==========
+
+// Collision shapes in world space, bucketed on a grid for quick lookups
+// Returns { count, nearby(x, z) } - nearby lists every tree whose cell neighbours the point:
+//   { x, z, base, trunkRadius, trunkTop, canopy: { y, radius, halfHeight } }
+export function createTreeColliders(placements, cellSize = TREES.colliderCell) {
+  const cells = new Map();
+  const key = (cx, cz) => `${cx},${cz}`;
+
+  placements.forEach(tree => {
+    const shape = TREE_SHAPES[tree.type];
+    const collider = {
+      x: tree.x,
+      z: tree.z,
+      base: tree.y,
+      trunkRadius: shape.trunkRadius * tree.scale,
+      trunkTop: tree.y + shape.trunkHeight * tree.scale,
+      canopy: {
+        y: tree.y + shape.canopy.y * tree.scale,
+        radius: shape.canopy.radius * tree.scale,
+        halfHeight: shape.canopy.halfHeight * tree.scale
+      }
+    };
+    const cellKey = key(Math.floor(tree.x / cellSize), Math.floor(tree.z / cellSize));
+    if (!cells.has(cellKey)) cells.set(cellKey, []);
+    cells.get(cellKey).push(collider);
+  });
 
-      trees.add(tree);
-      treeCount++;
+  const found = [];
+  function nearby(x, z) {
+    found.length = 0;
+    const cx = Math.floor(x / cellSize);
+    const cz = Math.floor(z / cellSize);
+    for (let dz = -1; dz <= 1; dz++) {
+      for (let dx = -1; dx <= 1; dx++) {
+        const cell = cells.get(key(cx + dx, cz + dz));
+        if (cell) found.push(...cell);
+      }
     }
+    return found;
   }
 
-  console.log(`Created ${treeCount} trees`);
-  return trees;
+  return {
+    count: placements.length,
+    nearby
+  };
 }
 
-// Regenerate trees with new config
-export function regenerateTrees(scene, heightmap, terrainConfig, treeConfig) {
+// Create the forest for the terrain: { group (add to the scene), colliders, count }
+export function createTrees(heightmap, terrainConfig, treeConfig = {}, isAllowed = null) {
+  const placements = placeTrees(heightmap, terrainConfig, treeConfig, isAllowed);
+  const group = createTreeMeshes(placements);
+
+  console.log(`Created ${placements.length} trees`);
+  return {
+    group,
+    colliders: createTreeColliders(placements),
+    count: placements.length
+  };
+}
+
+// Replace the scene's forest with a new one built from treeConfig
+// Returns the new { group, colliders, count }
+export function regenerateTrees(scene, heightmap, terrainConfig, treeConfig, isAllowed = null) {
   // Remove existing trees
   const existingTrees = scene.getObjectByName('trees');
   if (existingTrees) {
     scene.remove(existingTrees);
     existingTrees.traverse((child) => {
       if (child.geometry) child.geometry.dispose();
+      if (child.isInstancedMesh) child.dispose();
     });
   }
 
   // Create new trees
-  const trees = createTrees(heightmap, terrainConfig, treeConfig);
-  scene.add(trees);
+  const trees = createTrees(heightmap, terrainConfig, treeConfig, isAllowed);
+  scene.add(trees.group);
 
   return trees;
 }
 
-// Update trees Y position (call when terrain Y changes)
-export function updateTreesY(scene, newY) {
-  const trees = scene.getObjectByName('trees');
-  if (trees) {
-    trees.position.y = newY;
-  }
-}
-
-// Setup tree control UI
-export function setupTreeControls(scene, heightmap, terrainConfig) {
-  const config = { ...TREE_DEFAULTS };
+// Setup tree control UI (debug panel inputs: treeDensity, treeMaxSlope, treeCluster, treeSparse, treeSeed, regenTreesBtn)
+// onRegenerate(trees) receives each new forest so its colliders can be handed on
+export function setupTreeControls(scene, heightmap, terrainConfig, options = {}) {
+  const config = { ...TREE_DEFAULTS, ...options.treeConfig };
 
   const densityInput = document.getElementById('treeDensity');
   const maxSlopeInput = document.getElementById('treeMaxSlope');
@@ -329,6 +408,13 @@ export function setupTreeControls(scene, heightmap, terrainConfig) {
   const seedInput = document.getElementById('treeSeed');
   const regenBtn = document.getElementById('regenTreesBtn');
 
+  // Start the inputs from the course's settings
+  densityInput.value = config.density;
+  maxSlopeInput.value = config.maxSlope;
+  clusterInput.value = config.clusterStrength;
+  sparsenessInput.value = config.sparseness;
+  seedInput.value = config.seed;
+
   function regenerate() {
     config.density = parseFloat(densityInput.value) || TREE_DEFAULTS.density;
     config.maxSlope = parseFloat(maxSlopeInput.value) || TREE_DEFAULTS.maxSlope;
@@ -336,16 +422,14 @@ export function setupTreeControls(scene, heightmap, terrainConfig) {
     config.sparseness = parseFloat(sparsenessInput.value) || TREE_DEFAULTS.sparseness;
     config.seed = parseInt(seedInput.value) || TREE_DEFAULTS.seed;
 
-    regenerateTrees(scene, heightmap, terrainConfig, config);
+    const trees = regenerateTrees(scene, heightmap, terrainConfig, config, options.isAllowed);
+    if (options.onRegenerate) options.onRegenerate(trees);
   }
 
-  regenBtn.addEventListener('click', regenerate);
+  regenBtn.addEventListener('click', regenerate, { signal: options.signal });
 
   return {
     regenerate,
-    getConfig: () => ({ ...config }),
-    updateHeightmap: (newHeightmap) => {
-      heightmap = newHeightmap;
-    }
+    getConfig: () => ({ ...config })
   };
 }
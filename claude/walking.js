@@ -0,0 +1,82 @@
+// Walking module - ground-following FPS movement over the heightmap
+import * as THREE from 'three';
+
+// Create walking controller
+// config: CONTROLS (eyeHeight, maxSlopeDeg, heightSmoothing, minEyeClearance, bodyRadius)
+export function createWalkingController(camera, terrain, config) {
+  const minNormalY = Math.cos(THREE.MathUtils.degToRad(config.maxSlopeDeg));
+  const step = new THREE.Vector3();
+  const downhill = new THREE.Vector3();
+  // Tree colliders (see trees.js); trunks block the way
+  let trees = null;
+
+  function groundHeight(x, z) {
+    return terrain ? terrain.getHeightAt(x, z) : 0;
+  }
+
+  // Too steep to climb: drop the uphill part of the step so the player slides along the slope
+  function limitSlope(x, z) {
+    if (!terrain) return;
+    const normal = terrain.getNormalAt(x, z);
+    if (normal.y >= minNormalY) return;
+
+    // Normal's horizontal part points downhill
+    downhill.set(normal.x, 0, normal.z);
+    if (downhill.lengthSq() === 0) return;
+    downhill.normalize();
+    const along = step.dot(downhill);
+    if (along < 0) {
+      step.addScaledVector(downhill, -along);
+    }
+  }
+
+  // Walking into a trunk: stop at arm's length and slide round it
+  function blockTrunks(position) {
+    if (!trees) return;
+    for (const tree of trees.nearby(position.x, position.z)) {
+      if (tree.trunkRadius === 0) continue;
+      const reach = tree.trunkRadius + config.bodyRadius;
+      const dx = position.x - tree.x;
+      const dz = position.z - tree.z;
+      const distanceSq = dx * dx + dz * dz;
+      if (distanceSq >= reach * reach || distanceSq === 0) continue;
+      const scale = reach / Math.sqrt(distanceSq);
+      position.x = tree.x + dx * scale;
+      position.z = tree.z + dz * scale;
+    }
+  }
+
+  // direction: horizontal unit vector (or zero), speed in m/s
+  function update(dt, direction, speed) {
+    step.copy(direction).setY(0).multiplyScalar(speed * dt);
+
+    if (step.lengthSq() > 0) {
+      limitSlope(camera.position.x + step.x, camera.position.z + step.z);
+
+      const next = { x: camera.position.x + step.x, z: camera.position.z + step.z };
+      blockTrunks(next);
+      if (!terrain || !terrain.isInBounds || terrain.isInBounds(next.x, next.z)) {
+        camera.position.x = next.x;
+        camera.position.z = next.z;
+      }
+    }
+
+    // Ease the eye towards its height over the ground, never sinking into rises
+    const ground = groundHeight(camera.position.x, camera.position.z);
+    const target = ground + config.eyeHeight;
+    const blend = 1 - Math.exp(-config.heightSmoothing * dt);
+    camera.position.y += (target - camera.position.y) * blend;
+    camera.position.y = Math.max(camera.position.y, ground + config.minEyeClearance);
+  }
+
+  // Place the eye exactly at walking height (after teleports)
+  function snapToGround() {
+    camera.position.y = groundHeight(camera.position.x, camera.position.z) + config.eyeHeight;
+  }
+
+  return {
+    update,
+    snapToGround,
+    setTrees: (colliders) => { trees = colliders; }
+  };
+}
@@ -0,0 +1,63 @@
+// Weapon placement - seat a weapon on the terrain under its ground contacts and cant it to match
+import * as THREE from 'three';
+
+// Least-squares plane h = a + b*x + c*z through the contact heights (weapon-local x/z)
+function fitGroundPlane(points) {
+  let n = 0, sx = 0, sz = 0, sxx = 0, szz = 0, sxz = 0, sh = 0, sxh = 0, szh = 0;
+  for (const p of points) {
+    n++;
+    sx += p.x; sz += p.z; sh += p.h;
+    sxx += p.x * p.x; szz += p.z * p.z; sxz += p.x * p.z;
+    sxh += p.x * p.h; szh += p.z * p.h;
+  }
+
+  // Normal equations solved by Cramer's rule
+  const det3 = (m) =>
+    m[0] * (m[4] * m[8] - m[5] * m[7]) -
+    m[1] * (m[3] * m[8] - m[5] * m[6]) +
+    m[2] * (m[3] * m[7] - m[4] * m[6]);
+  const matrix = [n, sx, sz, sx, sxx, sxz, sz, sxz, szz];
+  const det = det3(matrix);
+  if (Math.abs(det) < 1e-9) return { a: sh / n, b: 0, c: 0 };
+
+  const rhs = [sh, sxh, szh];
+  const solveColumn = (col) => {
+    const m = matrix.slice();
+    for (let row = 0; row < 3; row++) m[row * 3 + col] = rhs[row];
+    return det3(m) / det;
+  };
+  return { a: solveColumn(0), b: solveColumn(1), c: solveColumn(2) };
+}
+
+// Move a weapon group to position (XZ) facing heading, resting on the terrain under its footprint
+// footprint: ground contact points in the model's local (unscaled) space
+// Returns the cant applied: { pitchDeg (muzzle up positive), rollDeg (left side up positive) }
+export function placeWeaponOnTerrain(group, footprint, terrain, position, heading, maxCantDeg = 90) {
+  const scale = group.scale.x;
+  const sin = Math.sin(heading);
+  const cos = Math.cos(heading);
+
+  const contacts = footprint.map(point => {
+    const x = point.x * scale;
+    const z = point.z * scale;
+    // Rotate by heading about Y (local +Z maps to (sin, 0, cos))
+    const worldX = position.x + x * cos + z * sin;
+    const worldZ = position.z - x * sin + z * cos;
+    return { x, z, h: terrain.getHeightAt(worldX, worldZ) };
+  });
+
+  const plane = fitGroundPlane(contacts);
+  const maxCant = THREE.MathUtils.degToRad(maxCantDeg);
+  const pitch = THREE.MathUtils.clamp(Math.atan(plane.c), -maxCant, maxCant);
+  const roll = THREE.MathUtils.clamp(Math.atan(plane.b), -maxCant, maxCant);
+
+  // Heading first, then pitch and roll about the weapon's own axes
+  group.rotation.order = 'YXZ';
+  group.rotation.set(-pitch, heading, roll);
+  group.position.set(position.x, plane.a, position.z);
+
+  return {
+    pitchDeg: THREE.MathUtils.radToDeg(pitch),
+    rollDeg: THREE.MathUtils.radToDeg(roll)
+  };
+}
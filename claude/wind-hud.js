@@ -0,0 +1,108 @@
+// Wind HUD - compass readout with wind arrow relative to the view direction
+
+const CARDINALS = ['N', 'NE', 'E', 'SE', 'S', 'SW', 'W', 'NW'];
+const DEG_TO_RAD = Math.PI / 180;
+const COMPASS_RADIUS = 21;  // px from centre to the N marker
+
+// Cardinal name for a compass bearing in degrees (clockwise from north)
+function toCardinal(deg) {
+  const index = Math.round((((deg % 360) + 360) % 360) / 45) % 8;
+  return CARDINALS[index];
+}
+
+// Create Wind HUD
+export function createWindHUD() {
+  const container = document.createElement('div');
+  container.id = 'wind-hud';
+  container.style.cssText = `
+    position: fixed;
+    right: 16px;
+    top: 130px;
+    padding: 8px 12px;
+    border-radius: 8px;
+    background: rgba(0, 0, 0, 0.7);
+    border: 1px solid rgba(255, 255, 255, 0.15);
+    color: #fff;
+    font-family: monospace;
+    font-size: 12px;
+    text-align: center;
+    pointer-events: none;
+  `;
+  container.innerHTML = `
+    <div class="wind-compass">
+      <div class="wind-north">N</div>
+      <div class="wind-arrow"></div>
+    </div>
+    <div class="wind-text">-- m/s</div>
+  `;
+  document.body.appendChild(container);
+
+  const style = document.createElement('style');
+  style.textContent = `
+    #wind-hud .wind-compass {
+      position: relative;
+      width: 56px;
+      height: 56px;
+      margin: 0 auto 4px;
+      border-radius: 50%;
+      border: 1px solid rgba(255, 255, 255, 0.3);
+    }
+    #wind-hud .wind-north {
+      position: absolute;
+      left: 50%;
+      top: 50%;
+      width: 12px;
+      margin: -7px 0 0 -6px;
+      font-size: 10px;
+      color: #8cf;
+    }
+    #wind-hud .wind-arrow {
+      position: absolute;
+      left: 50%;
+      top: 50%;
+      width: 0;
+      height: 0;
+      margin: -10px 0 0 -6px;
+      border-left: 6px solid transparent;
+      border-right: 6px solid transparent;
+      border-bottom: 20px solid #fc8;
+      transform-origin: 6px 10px;
+    }
+    #wind-hud .wind-text {
+      color: rgba(255, 255, 255, 0.8);
+    }
+    @media (max-width: 768px) {
+      #wind-hud {
+        top: 105px;
+        right: 8px;
+        padding: 6px 8px;
+        font-size: 10px;
+      }
+    }
+  `;
+  document.head.appendChild(style);
+
+  const northEl = container.querySelector('.wind-north');
+  const arrowEl = container.querySelector('.wind-arrow');
+  const textEl = container.querySelector('.wind-text');
+
+  // directionDeg: heading the wind blows toward; viewHeadingDeg: heading the camera faces
+  // Headings turn counter-clockwise as seen by the player, so screen angles are (view - heading)
+  // Up on the compass is the view direction; north is +Z
+  function update(directionDeg, strength, viewHeadingDeg) {
+    const northAngle = viewHeadingDeg * DEG_TO_RAD;
+    const nx = Math.sin(northAngle) * COMPASS_RADIUS;
+    const ny = -Math.cos(northAngle) * COMPASS_RADIUS;
+    northEl.style.transform = `translate(${nx.toFixed(1)}px, ${ny.toFixed(1)}px)`;
+    arrowEl.style.transform = `rotate(${(viewHeadingDeg - directionDeg).toFixed(1)}deg)`;
+    // Golfers call wind by where it comes from (bearing is clockwise, i.e. -heading)
+    textEl.textContent = `${strength.toFixed(1)} m/s ${toCardinal(180 - directionDeg)}`;
+  }
+
+  return {
+    update,
+    setVisible(visible) {
+      container.style.display = visible ? 'block' : 'none';
+    }
+  };
+}
@@ -0,0 +1,43 @@
+// Wind module - per-hole wind vector with gusting
+import * as THREE from 'three';
+import { WIND } from './config.js';
+
+// Create wind system
+// Wind config: { direction, strength, gust } (see WIND in config.js)
+export function createWind() {
+  const velocity = new THREE.Vector3();
+  const direction = new THREE.Vector3(0, 0, 1);
+  let baseStrength = 0;
+  let gust = 0;
+  let strength = 0;
+  let directionDeg = 0;
+  let time = 0;
+
+  function setWind(config) {
+    directionDeg = config.direction;
+    const angle = THREE.MathUtils.degToRad(directionDeg);
+    direction.set(Math.sin(angle), 0, Math.cos(angle));
+    baseStrength = config.strength;
+    gust = config.gust || 0;
+    time = 0;
+    update(0);
+  }
+
+  // Advance gusts (two out-of-phase sines so the pattern doesn't repeat obviously)
+  function update(dt) {
+    time += dt;
+    const phase = time * WIND.gustFrequency * Math.PI * 2;
+    const swing = 0.6 * Math.sin(phase) + 0.4 * Math.sin(phase * 2.3 + 1.3);
+    strength = Math.max(0, baseStrength + gust * swing);
+    velocity.copy(direction).multiplyScalar(strength);
+  }
+
+  return {
+    setWind,
+    update,
+    // Current wind velocity (m/s, world space) - shared vector, do not modify
+    getVelocity: () => velocity,
+    getStrength: () => strength,
+    getDirectionDeg: () => directionDeg
+  };
+}
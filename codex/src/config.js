@@ -18,3 +18,9 @@ export const MATERIAL_TYPES = [
   { id: 5, name: 'water', color: 0x4a6ea9 }
 ]
 export const DEFAULT_MATERIAL_ID = 2
+export const HOLE_PAR_OPTIONS = [3, 4, 5]
+export const DEFAULT_HOLE_PAR = 4
+export const HOLE_MARKER_COLORS = { tee: 0x3fa7ff, flag: 0xff4d4d, line: 0xffffff }
+export const HOLE_MARKER_HEIGHT = 6
+export const HOLE_INACTIVE_OPACITY = 0.45
+export const DEFAULT_COURSE_NAME = 'Untitled Course'
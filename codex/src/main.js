@@ -14,7 +14,13 @@ import {
   HEIGHT_EXPORT_EPSILON,
   UNDO_MAX_HISTORY,
   MATERIAL_TYPES,
-  DEFAULT_MATERIAL_ID
+  DEFAULT_MATERIAL_ID,
+  HOLE_PAR_OPTIONS,
+  DEFAULT_HOLE_PAR,
+  HOLE_MARKER_COLORS,
+  HOLE_MARKER_HEIGHT,
+  HOLE_INACTIVE_OPACITY,
+  DEFAULT_COURSE_NAME
 } from './config.js'
 
 const canvas = document.querySelector('#terrain-canvas')
@@ -45,6 +51,15 @@ const resetButton = document.querySelector('#reset-terrain')
 const exportButton = document.querySelector('#export-heightmap')
 const exportFormat = document.querySelector('#export-format')
 const resolutionSelect = document.querySelector('#terrain-resolution')
+const courseNameInput = document.querySelector('#course-name')
+const holeSelect = document.querySelector('#hole-select')
+const addHoleButton = document.querySelector('#add-hole')
+const removeHoleButton = document.querySelector('#remove-hole')
+const holeNameInput = document.querySelector('#hole-name')
+const holeParSelect = document.querySelector('#hole-par')
+const holeTargetButtons = document.querySelectorAll('[data-hole-target]')
+const courseImportInput = document.querySelector('#course-import')
+const exportCourseButton = document.querySelector('#export-course')
 
 const renderer = new THREE.WebGLRenderer({ canvas, antialias: true })
 renderer.setPixelRatio(Math.min(window.devicePixelRatio, 2))
@@ -129,6 +144,19 @@ const strengthRing = createStrengthRing()
 const falloffCurve = createFalloffCurve()
 scene.add(brushRing, strengthRing, falloffCurve)
 
+// Holes: tee (exported as the game's cannon position) and flag per hole, in play order
+const course = {
+  name: '',
+  holes: [],
+  selected: -1,
+  target: 'cannon'
+}
+const holeMarkers = new THREE.Group()
+scene.add(holeMarkers)
+const heightRaycaster = new THREE.Raycaster()
+const rayOrigin = new THREE.Vector3()
+const rayDown = new THREE.Vector3(0, -1, 0)
+
 function createBrushRing() {
   const ringSegments = 64
   const points = []
@@ -221,6 +249,7 @@ function buildTerrain(segments) {
 
   updateMaxHeight()
   if (overlayTexture) updateOverlayTexture()
+  updateHoleMarkers()
 }
 
 buildTerrain(state.segments)
@@ -252,7 +281,7 @@ function updatePointer(event) {
 }
 
 function updateBrushRing() {
-  if (!state.hasHit) {
+  if (!state.hasHit || state.tool === 'holes') {
     brushRing.visible = false
     strengthRing.visible = false
     falloffCurve.visible = false
@@ -274,7 +303,7 @@ function lerp(a, b, t) {
 }
 
 function applyBrush() {
-  if (!state.hasHit || !terrain) return
+  if (!state.hasHit || !terrain || state.tool === 'holes') return
 
   const positions = terrain.positions
   const array = positions.array
@@ -389,6 +418,7 @@ function applySnapshot(snapshot) {
   terrain.geometry.attributes.normal.needsUpdate = true
   terrain.colors.needsUpdate = true
   updateMaxHeight()
+  updateHoleMarkers()
 }
 
 function updateStrengthRing() {
@@ -444,6 +474,250 @@ function applyMaterialColorAt(index) {
   colors[colorIndex + 2] = color.b
 }
 
+function sampleTerrainHeight(x, z) {
+  if (!terrain) return 0
+  rayOrigin.set(x, 1000, z)
+  heightRaycaster.set(rayOrigin, rayDown)
+  const hits = heightRaycaster.intersectObject(terrain.mesh)
+  return hits.length > 0 ? hits[0].point.y : 0
+}
+
+function createHoleLabel(text, color) {
+  const size = 64
+  const labelCanvas = document.createElement('canvas')
+  labelCanvas.width = size
+  labelCanvas.height = size
+  const context = labelCanvas.getContext('2d')
+  context.fillStyle = `#${new THREE.Color(color).getHexString()}`
+  context.beginPath()
+  context.arc(size / 2, size / 2, size / 2 - 2, 0, Math.PI * 2)
+  context.fill()
+  context.fillStyle = '#ffffff'
+  context.font = 'bold 32px sans-serif'
+  context.textAlign = 'center'
+  context.textBaseline = 'middle'
+  context.fillText(text, size / 2, size / 2 + 1)
+  const sprite = new THREE.Sprite(
+    new THREE.SpriteMaterial({ map: new THREE.CanvasTexture(labelCanvas), depthTest: false })
+  )
+  sprite.scale.setScalar(4)
+  sprite.renderOrder = 3
+  return sprite
+}
+
+function createHoleMarker(hole, index) {
+  const group = new THREE.Group()
+  const opacity = index === course.selected ? 1 : HOLE_INACTIVE_OPACITY
+  const markerMaterial = (color) => new THREE.MeshBasicMaterial({ color, transparent: true, opacity, side: THREE.DoubleSide })
+
+  if (hole.cannon) {
+    const tee = new THREE.Mesh(new THREE.CylinderGeometry(1.6, 1.6, 0.5, 24), markerMaterial(HOLE_MARKER_COLORS.tee))
+    tee.position.set(hole.cannon.x, hole.cannon.y + 0.25, hole.cannon.z)
+    const label = createHoleLabel(String(index + 1), HOLE_MARKER_COLORS.tee)
+    label.position.set(hole.cannon.x, hole.cannon.y + 4, hole.cannon.z)
+    label.material.opacity = opacity
+    group.add(tee, label)
+  }
+
+  if (hole.flag) {
+    const pole = new THREE.Mesh(new THREE.CylinderGeometry(0.15, 0.15, HOLE_MARKER_HEIGHT, 8), markerMaterial(0xffffff))
+    pole.position.set(hole.flag.x, hole.flag.y + HOLE_MARKER_HEIGHT / 2, hole.flag.z)
+    const pennantGeometry = new THREE.BufferGeometry().setFromPoints([
+      new THREE.Vector3(0, 0, 0),
+      new THREE.Vector3(0, -1.4, 0),
+      new THREE.Vector3(2.4, -0.7, 0)
+    ])
+    const pennant = new THREE.Mesh(pennantGeometry, markerMaterial(HOLE_MARKER_COLORS.flag))
+    pennant.position.set(hole.flag.x, hole.flag.y + HOLE_MARKER_HEIGHT, hole.flag.z)
+    group.add(pole, pennant)
+  }
+
+  if (hole.cannon && hole.flag) {
+    const lineGeometry = new THREE.BufferGeometry().setFromPoints([
+      new THREE.Vector3(hole.cannon.x, hole.cannon.y + 0.6, hole.cannon.z),
+      new THREE.Vector3(hole.flag.x, hole.flag.y + 0.6, hole.flag.z)
+    ])
+    const line = new THREE.Line(
+      lineGeometry,
+      new THREE.LineDashedMaterial({ color: HOLE_MARKER_COLORS.line, dashSize: 2, gapSize: 1.5, transparent: true, opacity })
+    )
+    line.computeLineDistances()
+    group.add(line)
+  }
+
+  return group
+}
+
+// Re-seat every tee and flag on the current terrain surface and redraw the markers
+function updateHoleMarkers() {
+  holeMarkers.children.forEach((group) => {
+    group.traverse((child) => {
+      if (child.geometry) child.geometry.dispose()
+      if (child.material) {
+        if (child.material.map) child.material.map.dispose()
+        child.material.dispose()
+      }
+    })
+  })
+  holeMarkers.clear()
+
+  course.holes.forEach((hole, index) => {
+    if (hole.cannon) hole.cannon.y = sampleTerrainHeight(hole.cannon.x, hole.cannon.z)
+    if (hole.flag) hole.flag.y = sampleTerrainHeight(hole.flag.x, hole.flag.z)
+    holeMarkers.add(createHoleMarker(hole, index))
+  })
+}
+
+function updateHoleControls() {
+  holeSelect.innerHTML = ''
+  course.holes.forEach((hole, index) => {
+    const option = document.createElement('option')
+    option.value = String(index)
+    option.textContent = `${index + 1}. ${hole.name || `Hole ${index + 1}`} (par ${hole.par})`
+    holeSelect.appendChild(option)
+  })
+  const hole = course.holes[course.selected]
+  holeSelect.value = hole ? String(course.selected) : ''
+  holeSelect.disabled = !hole
+  holeNameInput.disabled = !hole
+  holeParSelect.disabled = !hole
+  removeHoleButton.disabled = !hole
+  holeNameInput.value = hole ? hole.name : ''
+  holeParSelect.value = String(hole ? hole.par : DEFAULT_HOLE_PAR)
+  holeTargetButtons.forEach((button) => {
+    button.classList.toggle('is-active', button.dataset.holeTarget === course.target)
+  })
+}
+
+function selectHole(index) {
+  course.selected = index
+  updateHoleControls()
+  updateHoleMarkers()
+}
+
+function setHoleTarget(target) {
+  course.target = target
+  updateHoleControls()
+}
+
+function addHole() {
+  course.holes.push({ name: '', par: DEFAULT_HOLE_PAR, cannon: null, flag: null, extra: {} })
+  course.target = 'cannon'
+  selectHole(course.holes.length - 1)
+  setTool('holes')
+}
+
+function removeHole() {
+  if (course.selected < 0) return
+  course.holes.splice(course.selected, 1)
+  selectHole(Math.min(course.selected, course.holes.length - 1))
+}
+
+// Drop the selected hole's tee or flag at a terrain point; placing the tee moves on to the flag
+function placeHolePoint(point) {
+  if (course.selected < 0) addHole()
+  const hole = course.holes[course.selected]
+  hole[course.target] = { x: point.x, y: point.y, z: point.z }
+  const label = course.target === 'cannon' ? 'tee' : 'flag'
+  statusEl.textContent = `Hole ${course.selected + 1}: ${label} placed`
+  if (course.target === 'cannon' && !hole.flag) course.target = 'flag'
+  updateHoleControls()
+  updateHoleMarkers()
+}
+
+function roundCoordinate(value) {
+  return Math.round(value * 100) / 100
+}
+
+function exportCourse() {
+  if (course.holes.length === 0) {
+    statusEl.textContent = 'Add a hole before exporting'
+    return
+  }
+  const incomplete = course.holes.findIndex((hole) => !hole.cannon || !hole.flag)
+  if (incomplete !== -1) {
+    statusEl.textContent = `Hole ${incomplete + 1} needs a tee and a flag`
+    selectHole(incomplete)
+    return
+  }
+
+  // Same shape as the game's COURSE; y is resampled by the game, exported for reference
+  const toPoint = (point) => ({ x: roundCoordinate(point.x), y: roundCoordinate(point.y), z: roundCoordinate(point.z) })
+  const payload = {
+    name: course.name || DEFAULT_COURSE_NAME,
+    terrainSize,
+    holes: course.holes.map((hole, index) => ({
+      ...hole.extra,
+      number: index + 1,
+      name: hole.name || `Hole ${index + 1}`,
+      par: hole.par,
+      cannon: toPoint(hole.cannon),
+      flag: toPoint(hole.flag)
+    }))
+  }
+  const courseBlob = new Blob([JSON.stringify(payload, null, 2)], { type: 'application/json' })
+  const courseUrl = URL.createObjectURL(courseBlob)
+  const courseLink = document.createElement('a')
+  courseLink.href = courseUrl
+  courseLink.download = 'course.json'
+  courseLink.click()
+  URL.revokeObjectURL(courseUrl)
+  statusEl.textContent = `Exported ${course.holes.length} holes`
+}
+
+// Load a course export back in; fields the editor doesn't edit (e.g. wind) are kept for the next export
+function importCourse(data) {
+  if (!data || !Array.isArray(data.holes)) {
+    statusEl.textContent = 'Not a course file'
+    return
+  }
+  const badHole = data.holes.findIndex((hole) => !hole || typeof hole !== 'object' || Array.isArray(hole))
+  if (badHole >= 0) {
+    statusEl.textContent = `Not a course file: hole ${badHole + 1} is not an object`
+    return
+  }
+  const toPoint = (point) => (point && Number.isFinite(point.x) && Number.isFinite(point.z) ? { x: point.x, y: 0, z: point.z } : null)
+  course.name = typeof data.name === 'string' ? data.name : ''
+  // Pars outside the usual options are kept (and offered in the select); unusable ones are reset and named
+  const resetPars = []
+  course.holes = data.holes.map((hole, index) => {
+    const { number, name, par, cannon, flag, ...extra } = hole
+    const parOk = Number.isInteger(par) && par >= 1
+    if (parOk) {
+      addParOption(par)
+    } else {
+      resetPars.push(typeof name === 'string' && name ? name : `Hole ${index + 1}`)
+    }
+    return {
+      name: typeof name === 'string' ? name : '',
+      par: parOk ? par : DEFAULT_HOLE_PAR,
+      cannon: toPoint(cannon),
+      flag: toPoint(flag),
+      extra
+    }
+  })
+  course.target = 'cannon'
+  courseNameInput.value = course.name
+  selectHole(course.holes.length > 0 ? 0 : -1)
+  statusEl.textContent = resetPars.length > 0
+    ? `Imported ${course.holes.length} holes - invalid par reset to ${DEFAULT_HOLE_PAR} on ${resetPars.join(', ')}`
+    : `Imported ${course.holes.length} holes`
+}
+
+// Add a par to the select, in order (no-op if it's already there)
+function addParOption(par) {
+  const options = [...holeParSelect.options]
+  if (options.some((option) => Number(option.value) === par)) return
+  const option = document.createElement('option')
+  option.value = String(par)
+  option.textContent = String(par)
+  holeParSelect.insertBefore(option, options.find((existing) => Number(existing.value) > par) || null)
+}
+
+HOLE_PAR_OPTIONS.forEach(addParOption)
+
+updateHoleControls()
+
 function updateMaterialSelection() {
   materialButtons.forEach((button) => {
     button.classList.toggle('is-active', Number(button.dataset.materialId) === state.materialId)
@@ -470,6 +744,63 @@ toolButtons.forEach((button) => {
   })
 })
 
+holeTargetButtons.forEach((button) => {
+  button.addEventListener('click', () => {
+    setHoleTarget(button.dataset.holeTarget)
+    setTool('holes')
+  })
+})
+
+holeSelect.addEventListener('change', (event) => {
+  selectHole(Number(event.target.value))
+})
+
+addHoleButton.addEventListener('click', () => {
+  addHole()
+})
+
+removeHoleButton.addEventListener('click', () => {
+  removeHole()
+})
+
+courseNameInput.addEventListener('input', (event) => {
+  course.name = event.target.value
+})
+
+holeNameInput.addEventListener('input', (event) => {
+  const hole = course.holes[course.selected]
+  if (!hole) return
+  hole.name = event.target.value
+  updateHoleControls()
+})
+
+holeParSelect.addEventListener('change', (event) => {
+  const hole = course.holes[course.selected]
+  if (!hole) return
+  hole.par = Number(event.target.value)
+  updateHoleControls()
+})
+
+exportCourseButton.addEventListener('click', () => {
+  exportCourse()
+})
+
+courseImportInput.addEventListener('change', (event) => {
+  const file = event.target.files[0]
+  if (!file) return
+  file.text().then((text) => {
+    let data
+    try {
+      data = JSON.parse(text)
+    } catch (error) {
+      statusEl.textContent = 'Course file is not valid JSON'
+      return
+    }
+    importCourse(data)
+  })
+  event.target.value = ''
+})
+
 materialButtons.forEach((button) => {
   button.addEventListener('click', () => {
     state.materialId = Number(button.dataset.materialId)
@@ -526,6 +857,7 @@ resetButton.addEventListener('click', () => {
   terrain.geometry.computeVertexNormals()
   terrain.geometry.attributes.normal.needsUpdate = true
   updateMaxHeight()
+  updateHoleMarkers()
 })
 
 exportButton.addEventListener('click', () => {
@@ -642,6 +974,11 @@ window.addEventListener('pointerdown', (event) => {
   if (event.button !== 0) return
   if (event.target.closest('.panel')) return
   updatePointer(event)
+  if (state.tool === 'holes') {
+    controls.enabled = false
+    if (state.hasHit) placeHolePoint(state.hitPoint)
+    return
+  }
   state.isPointerDown = true
   state.lower = event.shiftKey
   controls.enabled = false
@@ -659,6 +996,7 @@ window.addEventListener('pointermove', (event) => {
 
 window.addEventListener('pointerup', (event) => {
   if (event.button !== 0) return
+  if (state.isPointerDown && course.holes.length > 0) updateHoleMarkers()
   state.isPointerDown = false
   controls.enabled = true
 })
@@ -716,6 +1054,7 @@ canvas.addEventListener(
 )
 
 window.addEventListener('keydown', (event) => {
+  if (event.target.matches('input[type="text"]')) return
   if (event.key.toLowerCase() === 'z' && event.ctrlKey) {
     event.preventDefault()
     const snapshot = state.history.pop()
@@ -725,6 +1064,7 @@ window.addEventListener('keydown', (event) => {
   if (event.key === '1') setTool('sculpt')
   if (event.key === '2') setTool('smooth')
   if (event.key === '3') setTool('flatten')
+  if (event.key.toLowerCase() === 'h') setTool('holes')
   if (event.key === '4') {
     state.materialId = 0
     updateMaterialSelection()